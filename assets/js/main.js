@@ -3,12 +3,90 @@
 // ========================================
 
 /**
- * Sanitize HTML to prevent XSS attacks
+ * Escape text for insertion into HTML. Values are stored raw and escaped
+ * only when they are rendered as markup.
  */
-function sanitizeHTML(str) {
-    const temp = document.createElement('div');
-    temp.textContent = str;
-    return temp.innerHTML;
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Tags (with their allowed attributes) kept by sanitizeHTML; the content of
+ * dropped tags is removed, any other tag is unwrapped to its text
+ */
+const SAFE_HTML = {
+    tags: {
+        a: ['href', 'title'],
+        b: [],
+        br: [],
+        code: [],
+        em: [],
+        i: [],
+        li: [],
+        ol: [],
+        p: [],
+        strong: [],
+        u: [],
+        ul: []
+    },
+    dropped: ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math'],
+    protocols: ['http:', 'https:', 'mailto:']
+};
+
+/**
+ * Sanitize rich text against an allow-list of tags and attributes
+ */
+function sanitizeHTML(html, allowList = SAFE_HTML) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html);
+    sanitizeNode(template.content, allowList);
+    return template.innerHTML;
+}
+
+function sanitizeNode(parent, allowList) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            return;
+        }
+
+        const tag = node.nodeName.toLowerCase();
+        if (allowList.dropped.includes(tag)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeNode(node, allowList);
+
+        const allowedAttributes = allowList.tags[tag];
+        if (!allowedAttributes) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+
+        Array.from(node.attributes).forEach(({ name, value }) => {
+            if (!allowedAttributes.includes(name) || (name === 'href' && !isSafeURL(value, allowList.protocols))) {
+                node.removeAttribute(name);
+            }
+        });
+    });
+}
+
+/**
+ * Relative URLs are allowed, absolute ones only with an allowed protocol
+ */
+function isSafeURL(url, protocols) {
+    // Browsers ignore control characters and whitespace inside the scheme ("java\tscript:")
+    const normalized = String(url).replace(/[\u0000-\u0020\u007f]/g, '');
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*:)/i);
+    return !scheme || protocols.includes(scheme[1].toLowerCase());
 }
 
 /**
@@ -26,59 +104,492 @@ function debounce(func, wait) {
     };
 }
 
+/**
+ * Whether the document is laid out right-to-left (set by LanguageManager)
+ */
+function isRTL() {
+    return document.documentElement.dir === 'rtl';
+}
+
+/**
+ * Value of a CSS custom property for the active theme (set by ThemeManager)
+ */
+function getThemeValue(name, fallback = '') {
+    const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+    return value || fallback;
+}
+
 // ========================================
-// Navigation
+// Scroll Scheduler
+// ========================================
+
+/**
+ * Single passive scroll and resize listener shared by every component.
+ * Subscribers run at most once per animation frame, all read() callbacks
+ * before any write(), so layout is measured once instead of being thrashed
+ */
+class ScrollScheduler {
+    constructor() {
+        this.subscribers = [];
+        this.frameId = null;
+        this.resized = false;
+
+        window.addEventListener('scroll', () => this.schedule(), { passive: true });
+        window.addEventListener('resize', () => {
+            this.resized = true;
+            this.schedule();
+        }, { passive: true });
+    }
+
+    /**
+     * Instance used by components that are not given one
+     */
+    static shared() {
+        if (!ScrollScheduler.instance) {
+            ScrollScheduler.instance = new ScrollScheduler();
+        }
+        return ScrollScheduler.instance;
+    }
+
+    /**
+     * @param {Object} subscriber - read(state) and/or write(state), state being
+     *   { scrollY, viewportWidth, viewportHeight, resized }
+     * @returns {Function} Unsubscribes
+     */
+    subscribe(subscriber) {
+        this.subscribers.push(subscriber);
+        // First frame with the current position, e.g. after a reload halfway down the page
+        this.schedule();
+
+        return () => {
+            this.subscribers = this.subscribers.filter(entry => entry !== subscriber);
+        };
+    }
+
+    schedule() {
+        if (this.frameId) return;
+        this.frameId = requestAnimationFrame(() => this.flush());
+    }
+
+    flush() {
+        this.frameId = null;
+
+        const state = {
+            scrollY: window.scrollY,
+            viewportWidth: window.innerWidth,
+            viewportHeight: window.innerHeight,
+            resized: this.resized
+        };
+        this.resized = false;
+
+        const subscribers = this.subscribers.slice();
+        subscribers.forEach(subscriber => {
+            if (subscriber.read) subscriber.read(state);
+        });
+        subscribers.forEach(subscriber => {
+            if (subscriber.write) subscriber.write(state);
+        });
+    }
+}
+
+ScrollScheduler.instance = null;
+
+// ========================================
+// Event Bus
+// ========================================
+
+/**
+ * Publish/subscribe between components that do not know each other. Event
+ * types and their payloads are declared in EventBus.EVENTS: an unknown type
+ * or a payload of the wrong shape throws instead of silently reaching nobody
+ */
+class EventBus {
+    /**
+     * @param {Object} options - events (type -> { field: type }), historySize (last emitted events kept)
+     */
+    constructor({ events = EventBus.EVENTS, historySize = 50 } = {}) {
+        this.events = events;
+        this.historySize = historySize;
+        this.handlers = new Map();
+        this.anyHandlers = [];
+        this.history = [];
+    }
+
+    /**
+     * Instance used by components that are not given one
+     */
+    static shared() {
+        if (!EventBus.instance) {
+            EventBus.instance = new EventBus();
+        }
+        return EventBus.instance;
+    }
+
+    /**
+     * @param {string} type - e.g. 'language:changed'
+     * @param {Function} handler - Receives the payload
+     * @returns {Function} Unsubscribes
+     */
+    on(type, handler) {
+        this.assertType(type);
+        const handlers = this.handlers.get(type) || [];
+        this.handlers.set(type, handlers.concat(handler));
+
+        return () => {
+            this.handlers.set(type, (this.handlers.get(type) || []).filter(entry => entry !== handler));
+        };
+    }
+
+    once(type, handler) {
+        const off = this.on(type, (detail) => {
+            off();
+            handler(detail);
+        });
+        return off;
+    }
+
+    /**
+     * Receive every event as handler({ type, detail, time }), e.g. to assert on the stream in a test
+     * @returns {Function} Unsubscribes
+     */
+    onAny(handler) {
+        this.anyHandlers.push(handler);
+        return () => {
+            this.anyHandlers = this.anyHandlers.filter(entry => entry !== handler);
+        };
+    }
+
+    emit(type, detail = {}) {
+        this.assertType(type);
+        this.assertPayload(type, detail);
+
+        const event = { type, detail, time: Date.now() };
+        this.history.push(event);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        // A failing handler is reported without keeping the others from running
+        (this.handlers.get(type) || []).forEach(handler => this.call(handler, detail, type));
+        this.anyHandlers.forEach(handler => this.call(handler, event, type));
+    }
+
+    call(handler, argument, type) {
+        try {
+            handler(argument);
+        } catch (error) {
+            console.error(`Handler for "${type}" failed:`, error);
+        }
+    }
+
+    assertType(type) {
+        if (!Object.prototype.hasOwnProperty.call(this.events, type)) {
+            throw new Error(`Unknown event "${type}"`);
+        }
+    }
+
+    /**
+     * Field types are typeof names ('string', 'boolean'…) or 'array', suffixed
+     * with ? when null is allowed, or an array of the accepted values
+     */
+    assertPayload(type, detail) {
+        Object.entries(this.events[type]).forEach(([field, expected]) => {
+            const value = detail[field];
+            const valid = Array.isArray(expected)
+                ? expected.includes(value)
+                : (expected.endsWith('?') && value === null) || EventBus.typeOf(value) === expected.replace(/\?$/, '');
+
+            if (!valid) {
+                throw new TypeError(`"${type}": ${field} must be ${Array.isArray(expected) ? expected.join(' | ') : expected}`);
+            }
+        });
+    }
+
+    /**
+     * typeof, except that arrays are 'array' and null is 'null'
+     */
+    static typeOf(value) {
+        if (value === null) return 'null';
+        return Array.isArray(value) ? 'array' : typeof value;
+    }
+}
+
+EventBus.instance = null;
+
+/**
+ * Application events and the fields of their payload
+ */
+EventBus.EVENTS = {
+    // Also emitted when the initial language is applied, with previous: null
+    'language:changed': { lang: 'string', previous: 'string?', locale: 'string', dir: ['ltr', 'rtl'] },
+    'theme:changed': { theme: ['light', 'dark'], preference: ['auto', 'light', 'dark'], source: ['user', 'system'] },
+    'snow:toggled': { enabled: 'boolean', source: ['user', 'auto'] },
+    'section:entered': { id: 'string' },
+    'cv:downloaded': { file: 'string' },
+    'form:submitted': { form: 'string', status: ['sent', 'failed'] },
+    // root: the element the catalog views just filled
+    'projects:rendered': { root: 'object', count: 'number' },
+    // A project is shown when it carries one of the tags (all projects when empty)
+    'projects:filtered': { tags: 'array', sort: ['date', 'name'] }
+};
+
+// ========================================
+// Components
 // ========================================
 
-class Navigation {
+/**
+ * Base of the page components. The constructor only collects elements and
+ * options; mount() attaches listeners, observers and timers through listen()
+ * and onDestroy() so that destroy() releases all of them
+ */
+class Component {
     constructor() {
+        this.mounted = false;
+        this.cleanups = [];
+    }
+
+    mount() {
+        this.mounted = true;
+    }
+
+    destroy() {
+        // Last attached, first released
+        this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+        this.mounted = false;
+    }
+
+    /**
+     * addEventListener, removed again on destroy()
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.onDestroy(() => target.removeEventListener(type, handler, options));
+    }
+
+    onDestroy(cleanup) {
+        this.cleanups.push(cleanup);
+    }
+}
+
+/**
+ * Creates and mounts the components that apply to the current page.
+ *
+ * A definition says where its component applies: `pages` (file names without
+ * .html, 'index' for the home page) and/or `selector` (an element that must be
+ * present). With `lazy: true` it is only created once that element comes near
+ * the viewport. <meta name="components" content="profile-tilt: off, mountain-parallax: on">
+ * turns components off for a page, or on outside of their `pages`
+ */
+class ComponentRegistry {
+    constructor({ config = ComponentRegistry.readConfig(), page = ComponentRegistry.getPage() } = {}) {
+        this.config = config;
+        this.page = page;
+        this.definitions = new Map();
+        this.instances = new Map();
+        this.lazyObservers = new Map();
+    }
+
+    /**
+     * @param {string} name - Also the key used in the per-page config
+     * @param {Object} definition - create(registry), pages, selector, lazy
+     */
+    register(name, definition) {
+        this.definitions.set(name, { pages: null, selector: null, lazy: false, ...definition });
+        return this;
+    }
+
+    /**
+     * @returns {Object} Component name -> true (on) or false (off)
+     */
+    static readConfig() {
+        const meta = document.querySelector('meta[name="components"]');
+        const config = {};
+        if (!meta) return config;
+
+        meta.getAttribute('content').split(',').forEach(pair => {
+            const [name, value] = pair.split(':').map(part => part.trim());
+            if (name && (value === 'on' || value === 'off')) {
+                config[name] = value === 'on';
+            }
+        });
+        return config;
+    }
+
+    static getPage() {
+        const file = location.pathname.split('/').pop();
+        return file ? file.replace(/\.html$/, '') : 'index';
+    }
+
+    applies(name) {
+        const definition = this.definitions.get(name);
+        if (this.config[name] === false) return false;
+
+        const onPage = this.config[name] === true || !definition.pages || definition.pages.includes(this.page);
+        return onPage && (!definition.selector || document.querySelector(definition.selector) !== null);
+    }
+
+    /**
+     * Mount every applicable component, in registration order (dependencies first)
+     */
+    mountAll() {
+        this.definitions.forEach((definition, name) => {
+            if (!this.applies(name)) return;
+
+            if (definition.lazy && definition.selector && 'IntersectionObserver' in window) {
+                this.mountWhenVisible(name, definition.selector);
+            } else {
+                this.mount(name);
+            }
+        });
+        return this;
+    }
+
+    mountWhenVisible(name, selector) {
+        const observer = new IntersectionObserver((entries) => {
+            if (!entries.some(entry => entry.isIntersecting)) return;
+            this.mount(name);
+        }, { rootMargin: '200px' });
+
+        document.querySelectorAll(selector).forEach(element => observer.observe(element));
+        this.lazyObservers.set(name, observer);
+    }
+
+    /**
+     * Create and mount a component now, even if it was waiting to be visible
+     * @returns {Component|null}
+     */
+    mount(name) {
+        if (this.instances.has(name)) return this.instances.get(name);
+
+        const definition = this.definitions.get(name);
+        if (!definition) return null;
+
+        this.stopWaiting(name);
+        const instance = definition.create(this);
+        this.instances.set(name, instance);
+        instance.mount();
+        return instance;
+    }
+
+    stopWaiting(name) {
+        const observer = this.lazyObservers.get(name);
+        if (observer) {
+            observer.disconnect();
+            this.lazyObservers.delete(name);
+        }
+    }
+
+    /**
+     * @returns {Component|null} The mounted instance, null if not (yet) created
+     */
+    get(name) {
+        return this.instances.get(name) || null;
+    }
+
+    destroy(name) {
+        this.stopWaiting(name);
+
+        const instance = this.instances.get(name);
+        if (instance) {
+            instance.destroy();
+            this.instances.delete(name);
+        }
+    }
+
+    destroyAll() {
+        // Dependents were registered after their dependencies: release them first
+        Array.from(this.definitions.keys()).reverse().forEach(name => this.destroy(name));
+    }
+}
+
+// ========================================
+// Navigation
+// ========================================
+
+class Navigation extends Component {
+    constructor({ events = EventBus.shared(), scroll = ScrollScheduler.shared() } = {}) {
+        super();
+        this.events = events;
+        this.scroll = scroll;
+        this.currentSection = null;
         this.navbar = document.getElementById('navbar');
         this.hamburger = document.getElementById('hamburger');
         this.navMenu = document.getElementById('nav-menu');
         this.navLinks = document.querySelectorAll('.nav-link');
 
-        this.init();
+        // Scrollspy: sections crossing the band under the navbar, tracked by an IntersectionObserver
+        this.sections = Array.from(document.querySelectorAll('section[id]'));
+        this.intersecting = new Set();
+        this.observer = null;
+        this.isScrolled = false;
+        this.atBottom = false;
+
+        // The URL follows the section only once AnchorRouter has honoured the hash from the address bar
+        this.syncHash = false;
     }
 
-    init() {
-        // Scroll event for navbar
-        window.addEventListener('scroll', debounce(() => {
-            this.handleScroll();
-        }, 10));
+    mount() {
+        super.mount();
+
+        // Positions are read in the scheduler's read phase, classes written in its write phase
+        this.onDestroy(this.scroll.subscribe({
+            read: ({ scrollY, viewportHeight }) => {
+                this.isScrolled = scrollY > 50;
+                this.atBottom = scrollY + viewportHeight >= document.documentElement.scrollHeight - 2;
+            },
+            write: () => {
+                this.handleScroll();
+                this.updateActiveLink();
+            }
+        }));
+
+        this.observeSections();
 
         // Hamburger menu toggle
         if (this.hamburger) {
-            this.hamburger.addEventListener('click', () => {
+            this.listen(this.hamburger, 'click', () => {
                 this.toggleMenu();
             });
         }
 
-        // Navigation link clicks
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                this.handleLinkClick(e, link);
-            });
-        });
-
-        // Update active link on scroll
-        window.addEventListener('scroll', debounce(() => {
-            this.updateActiveLink();
-        }, 100));
-
         // Close menu on click outside
-        document.addEventListener('click', (e) => {
+        this.listen(document, 'click', (e) => {
             if (!this.navbar.contains(e.target) && this.navMenu.classList.contains('active')) {
                 this.closeMenu();
             }
         });
+
+        this.onDestroy(() => this.closeMenu());
+    }
+
+    observeSections() {
+        if (!this.sections.length || !('IntersectionObserver' in window)) return;
+
+        // A band from under the navbar down to 40% of the viewport
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.intersecting.add(entry.target);
+                } else {
+                    this.intersecting.delete(entry.target);
+                }
+            });
+            this.updateActiveLink();
+        }, { rootMargin: `-${this.navbar.offsetHeight}px 0px -60% 0px` });
+
+        this.sections.forEach(section => this.observer.observe(section));
+        this.onDestroy(() => {
+            this.observer.disconnect();
+            this.intersecting.clear();
+        });
+    }
+
+    startHashSync() {
+        this.syncHash = true;
     }
 
     handleScroll() {
-        if (window.scrollY > 50) {
-            this.navbar.classList.add('scrolled');
-        } else {
-            this.navbar.classList.remove('scrolled');
-        }
+        this.navbar.classList.toggle('scrolled', this.isScrolled);
     }
 
     toggleMenu() {
@@ -94,63 +605,51 @@ class Navigation {
     }
 
     closeMenu() {
-        this.hamburger.classList.remove('active');
-        this.navMenu.classList.remove('active');
+        if (this.hamburger) this.hamburger.classList.remove('active');
+        if (this.navMenu) this.navMenu.classList.remove('active');
         document.body.style.overflow = '';
     }
 
-    handleLinkClick(e, link) {
-        const href = link.getAttribute('href');
-
-        // Only handle internal links
-        if (href.startsWith('#')) {
-            e.preventDefault();
-
-            const targetId = href.substring(1);
-            const targetElement = document.getElementById(targetId);
-
-            if (targetElement) {
-                // Close mobile menu
-                this.closeMenu();
+    /**
+     * First section in the band, or the last one once the page is scrolled to
+     * the bottom (a short final section never reaches the band)
+     */
+    getVisibleSection() {
+        if (this.atBottom && this.sections.length) {
+            return this.sections[this.sections.length - 1];
+        }
+        return this.sections.find(section => this.intersecting.has(section)) || null;
+    }
 
-                // Scroll to target
-                const navbarHeight = this.navbar.offsetHeight;
-                const targetPosition = targetElement.offsetTop - navbarHeight;
+    /**
+     * Highlight the link of the visible section and mirror it in the URL, if it changed
+     */
+    updateActiveLink() {
+        const section = this.getVisibleSection();
+        if (!section || section.id === this.currentSection) return;
 
-                window.scrollTo({
-                    top: targetPosition,
-                    behavior: 'smooth'
-                });
+        this.currentSection = section.id;
+        this.events.emit('section:entered', { id: section.id });
 
-                // Update active state
-                this.setActiveLink(link);
-            }
+        const activeLink = document.querySelector(`.nav-link[href="#${section.id}"]`);
+        if (activeLink) {
+            this.setActiveLink(activeLink);
         }
-    }
 
-    updateActiveLink() {
-        const sections = document.querySelectorAll('section[id]');
-        const scrollPosition = window.scrollY + this.navbar.offsetHeight + 100;
-
-        sections.forEach(section => {
-            const sectionTop = section.offsetTop;
-            const sectionHeight = section.offsetHeight;
-            const sectionId = section.getAttribute('id');
-
-            if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-                const activeLink = document.querySelector(`.nav-link[href="#${sectionId}"]`);
-                if (activeLink) {
-                    this.setActiveLink(activeLink);
-                }
-            }
-        });
+        // Replaced, not pushed: scrolling must not fill the history. Back at the top the hash goes
+        if (this.syncHash) {
+            const url = section === this.sections[0] ? location.pathname + location.search : `#${section.id}`;
+            history.replaceState(history.state, '', url);
+        }
     }
 
     setActiveLink(activeLink) {
         this.navLinks.forEach(link => {
             link.classList.remove('active');
+            link.removeAttribute('aria-current');
         });
         activeLink.classList.add('active');
+        activeLink.setAttribute('aria-current', 'section');
     }
 }
 
@@ -158,19 +657,21 @@ class Navigation {
 // Scroll Animations
 // ========================================
 
-class ScrollAnimations {
-    constructor() {
+class ScrollAnimations extends Component {
+    constructor({ events = EventBus.shared() } = {}) {
+        super();
+        this.events = events;
         this.animatedElements = document.querySelectorAll('.card-animate');
         this.observerOptions = {
             root: null,
             rootMargin: '0px',
             threshold: 0.1
         };
-
-        this.init();
     }
 
-    init() {
+    mount() {
+        super.mount();
+
         // Create intersection observer
         this.observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
@@ -186,209 +687,2036 @@ class ScrollAnimations {
         this.animatedElements.forEach(element => {
             this.observer.observe(element);
         });
+        this.onDestroy(() => this.observer.disconnect());
+
+        // Cards rendered from the project catalog arrive later
+        this.onDestroy(this.events.on('projects:rendered', ({ root }) => {
+            root.querySelectorAll('.card-animate').forEach(element => this.observer.observe(element));
+        }));
     }
 }
 
 // ========================================
-// Smooth Scroll
+// Anchor Router
 // ========================================
 
-class SmoothScroll {
-    constructor() {
-        this.init();
+/**
+ * Single handler for links to a section (#projets, index.html#projets):
+ * scrolls with scrollIntoView so CSS scroll-padding/scroll-margin decide the
+ * offset, records a history entry and moves focus to the section heading.
+ * Links to another page are left to the browser; that page restores the
+ * section on load
+ */
+class AnchorRouter extends Component {
+    constructor({ navigation = null } = {}) {
+        super();
+        this.navigation = navigation;
+        this.reducedMotion = window.matchMedia
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : { matches: false };
     }
 
-    init() {
-        // Handle all anchor links
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', (e) => {
-                const href = anchor.getAttribute('href');
-                if (href !== '#' && href.length > 1) {
-                    const target = document.querySelector(href);
-                    if (target) {
-                        e.preventDefault();
-                        const navbar = document.getElementById('navbar');
-                        const navbarHeight = navbar ? navbar.offsetHeight : 0;
-                        const targetPosition = target.offsetTop - navbarHeight;
-
-                        window.scrollTo({
-                            top: targetPosition,
-                            behavior: 'smooth'
-                        });
-                    }
-                }
-            });
+    mount() {
+        super.mount();
+
+        // Delegated: covers links added later (skip link, rendered cards)
+        this.listen(document, 'click', (e) => this.handleClick(e));
+
+        // Back and forward between sections: the browser only changes the URL
+        this.listen(window, 'popstate', () => {
+            this.scrollToTarget(this.getTarget(location.hash), true);
         });
+
+        // Late layout (images, translations) moves the anchor: jump again once everything is loaded
+        if (document.readyState === 'complete') {
+            this.restore();
+        } else {
+            this.listen(window, 'load', () => this.restore(), { once: true });
+        }
+    }
+
+    handleClick(e) {
+        // New tab, new window and download clicks keep their default behaviour
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href]');
+        if (!link || link.target === '_blank' || link.hasAttribute('download')) return;
+
+        const hash = this.getSamePageHash(link);
+        const target = hash && this.getTarget(hash);
+        if (!target) return;
+
+        e.preventDefault();
+        this.navigate(target, hash);
+    }
+
+    /**
+     * @returns {string|null} The link's hash when it points into the current page
+     */
+    getSamePageHash(link) {
+        const url = new URL(link.href, location.href);
+        const samePage = url.origin === location.origin
+            && this.normalizePath(url.pathname) === this.normalizePath(location.pathname)
+            && url.search === location.search;
+
+        return samePage && url.hash.length > 1 ? url.hash : null;
+    }
+
+    normalizePath(pathname) {
+        return pathname.replace(/\/index\.html$/, '/');
+    }
+
+    getTarget(hash) {
+        if (!hash || hash.length < 2) return null;
+
+        try {
+            return document.getElementById(decodeURIComponent(hash.slice(1)));
+        } catch (e) {
+            return null; // Malformed escape sequence
+        }
+    }
+
+    /**
+     * Scroll to a section, add it to the history and focus its heading
+     */
+    navigate(target, hash) {
+        if (this.navigation) this.navigation.closeMenu();
+
+        // New history entry, so the back button returns to the previous section
+        if (location.hash !== hash) {
+            history.pushState(null, '', hash);
+        }
+
+        this.scrollToTarget(target);
+        this.focusTarget(target);
+    }
+
+    /**
+     * @param {Element|null} target - null scrolls back to the top of the page
+     * @param {boolean} instant - Jump without animation (restoring a position)
+     */
+    scrollToTarget(target, instant = false) {
+        const behavior = instant || this.reducedMotion.matches ? 'instant' : 'smooth';
+
+        if (target) {
+            target.scrollIntoView({ behavior, block: 'start' });
+        } else {
+            window.scrollTo({ top: 0, behavior });
+        }
+    }
+
+    /**
+     * Move keyboard and screen reader focus to the section's heading, without scrolling again
+     */
+    focusTarget(target) {
+        const heading = target.matches('h1, h2, h3, h4, h5, h6')
+            ? target
+            : target.querySelector('h1, h2, h3, h4, h5, h6') || target;
+
+        if (!heading.hasAttribute('tabindex') && !heading.matches('a[href], button, input, select, textarea')) {
+            heading.setAttribute('tabindex', '-1');
+        }
+        heading.focus({ preventScroll: true });
+    }
+
+    restore() {
+        // Once per page load: a page back from the back/forward cache keeps its scroll position and focus
+        const target = AnchorRouter.restored ? null : this.getTarget(location.hash);
+        AnchorRouter.restored = true;
+        if (target) {
+            this.scrollToTarget(target, true);
+            this.focusTarget(target);
+        }
+
+        // From here on, the scrollspy may rewrite the hash
+        if (this.navigation) this.navigation.startHashSync();
     }
 }
 
+AnchorRouter.restored = false;
+
 // ========================================
-// Skill Tags Animation
+// Project Catalog
 // ========================================
 
-class SkillTagsAnimation {
-    constructor() {
-        this.skillTags = document.querySelectorAll('.skill-tag');
-        this.init();
+/**
+ * Projects described in assets/data/projects.json (structure in
+ * projects.schema.json), loaded once and shared by the views below
+ */
+class ProjectCatalog {
+    constructor({ url = 'assets/data/projects.json' } = {}) {
+        this.url = url;
+        this.projects = null;
+        this.request = null;
     }
 
-    init() {
-        this.skillTags.forEach((tag, index) => {
+    /**
+     * @returns {Promise<Array>} The valid projects, in file order
+     */
+    load() {
+        if (!this.request) {
+            this.request = fetch(this.url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`${this.url}: HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.projects = (data.projects || []).filter(project => this.isValid(project));
+                    return this.projects;
+                })
+                .catch(error => {
+                    // The next caller tries again, e.g. once back online
+                    this.request = null;
+                    throw error;
+                });
+        }
+
+        return this.request;
+    }
+
+    /**
+     * A project missing a required field is left out instead of breaking the page
+     */
+    isValid(project) {
+        const missing = ProjectCatalog.REQUIRED.find(field => project[field] === undefined);
+        if (missing) {
+            console.warn(`Project "${project.id}" skipped: no ${missing}`);
+            return false;
+        }
+        return true;
+    }
+
+    get(id) {
+        return (this.projects || []).find(project => project.id === id) || null;
+    }
+
+    /**
+     * Every tag of the catalog, in alphabetical order
+     */
+    getTags() {
+        const tags = new Set((this.projects || []).flatMap(project => project.tags));
+        return [...tags].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * The catalog's spelling of `names`, whatever their case; unknown names are dropped
+     */
+    findTags(names) {
+        const wanted = names.map(name => name.toLowerCase());
+        return this.getTags().filter(tag => wanted.includes(tag.toLowerCase()));
+    }
+
+    /**
+     * Projects carrying at least one of `tags`, or all of them when none is given
+     */
+    filter(tags = []) {
+        const projects = this.projects || [];
+        return tags.length ? projects.filter(project => tags.some(tag => project.tags.includes(tag))) : projects.slice();
+    }
+
+    /**
+     * The project's own page, or the generic one
+     */
+    getURL(project) {
+        return (project.links && project.links.page) || `projet.html?id=${encodeURIComponent(project.id)}`;
+    }
+
+    /**
+     * Resolve a text of the catalog: the same string for every language, or
+     * an object of translations searched in the order of `languages`
+     */
+    static localize(value, languages = ['fr']) {
+        if (value === undefined || value === null || typeof value === 'string') return value || '';
+
+        const lang = languages.find(code => Object.prototype.hasOwnProperty.call(value, code));
+        return lang ? value[lang] : Object.values(value)[0] || '';
+    }
+}
+
+ProjectCatalog.REQUIRED = ['id', 'title', 'type', 'summary', 'dates', 'tags'];
+
+/**
+ * Base of the components rendering the catalog: they render once it is loaded
+ * and again in the new language. Catalog texts may hold the inline markup of
+ * SAFE_HTML and always go through sanitizeHTML
+ */
+class ProjectView extends Component {
+    /**
+     * @param {Object} options - catalog (ProjectCatalog), i18n (LanguageManager), events (EventBus)
+     */
+    constructor({ catalog, i18n = null, events = EventBus.shared() } = {}) {
+        super();
+        this.catalog = catalog;
+        this.i18n = i18n;
+        this.events = events;
+        this.messages = {};
+    }
+
+    mount() {
+        super.mount();
+
+        this.catalog.load()
+            .then(() => {
+                if (this.mounted) this.render();
+            })
+            .catch(error => console.warn('Project catalog unavailable:', error.message));
+
+        this.onDestroy(this.events.on('language:changed', () => {
+            if (this.catalog.projects) this.render();
+        }));
+    }
+
+    render() {}
+
+    text(value) {
+        const languages = this.i18n ? this.i18n.getFallbackChain(this.i18n.currentLang) : ['fr'];
+        return ProjectCatalog.localize(value, languages);
+    }
+
+    /**
+     * Text without its markup, for attributes and the document title
+     */
+    plainText(value) {
+        const template = document.createElement('template');
+        template.innerHTML = sanitizeHTML(this.text(value));
+        return template.content.textContent;
+    }
+
+    /**
+     * @param {string} tag
+     * @param {string} className
+     * @param {*} value - Catalog text for the content, if any
+     */
+    createElement(tag, className = '', value) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (value !== undefined) element.innerHTML = sanitizeHTML(this.text(value));
+        return element;
+    }
+
+    createTags(tags = [], className) {
+        const list = this.createElement('div', className);
+        tags.forEach(tag => list.append(this.createElement('span', 'tag', tag)));
+        return list;
+    }
+
+    message(key, params = {}) {
+        const translation = this.i18n ? this.i18n.t(key, params) : key;
+        if (translation !== key) return translation;
+
+        const fallback = this.messages[key] || key;
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+}
+
+/**
+ * Cards of the projects section ([data-project-list]), filtered and sorted as
+ * asked by ProjectFilters, and the project count of the hero
+ * ([data-project-count] around elements with a count parameter)
+ */
+class ProjectList extends ProjectView {
+    constructor(options) {
+        super(options);
+        this.list = document.querySelector('[data-project-list]');
+        this.counters = document.querySelectorAll('[data-project-count]');
+        this.filter = ProjectFilters.fromURL();
+
+        // French default, overridden by the i18n catalog when loaded
+        this.messages = {
+            'projects.view': 'Voir le projet'
+        };
+    }
+
+    mount() {
+        super.mount();
+
+        // New cards replace the old ones and fade in through ScrollAnimations
+        this.onDestroy(this.events.on('projects:filtered', (filter) => {
+            this.filter = filter;
+            if (this.catalog.projects) this.render();
+        }));
+    }
+
+    render() {
+        const projects = this.catalog.projects;
+
+        if (this.list) {
+            const shown = this.sort(this.catalog.filter(this.catalog.findTags(this.filter.tags)));
+            this.list.replaceChildren(...shown.map(project => this.createCard(project)));
+            this.events.emit('projects:rendered', { root: this.list, count: shown.length });
+        }
+
+        this.counters.forEach(counter => {
+            counter.querySelectorAll('[data-i18n-params]').forEach(element => {
+                element.setAttribute('data-i18n-params', JSON.stringify({ count: projects.length }));
+            });
+            if (this.i18n) this.i18n.translatePage(counter);
+        });
+    }
+
+    /**
+     * Most recent first (by end month), or by title in the current language
+     */
+    sort(projects) {
+        if (this.filter.sort === 'name') {
+            const locale = this.i18n ? this.i18n.getLocaleTag() : 'fr';
+            return projects.sort((a, b) => this.plainText(a.title).localeCompare(this.plainText(b.title), locale));
+        }
+
+        const end = ({ dates }) => dates.end || dates.start;
+        return projects.sort((a, b) => end(b).localeCompare(end(a)));
+    }
+
+    createCard(project) {
+        const card = this.createElement('article', 'project-card card-animate');
+        card.dataset.projectId = project.id;
+
+        const media = this.createElement('div', 'project-image');
+        const cover = project.images && project.images[0];
+        if (cover) {
+            const image = document.createElement('img');
+            image.src = cover.src;
+            image.alt = this.plainText(cover.alt);
+            media.append(image);
+        }
+
+        const overlay = this.createElement('div', 'project-overlay');
+        const link = this.createElement('a', 'btn btn-small');
+        link.href = this.catalog.getURL(project);
+        link.textContent = this.message('projects.view');
+        overlay.append(link);
+        media.append(overlay);
+
+        const content = this.createElement('div', 'project-content');
+        content.append(
+            this.createElement('h3', '', project.title),
+            this.createElement('p', 'project-type', project.type),
+            this.createElement('p', 'project-description', project.summary),
+            this.createTags(project.tags, 'project-tags')
+        );
+
+        card.append(media, content);
+        return card;
+    }
+}
+
+/**
+ * Filter bar of the projects section ([data-project-filters]): a chip per tag,
+ * several can be pressed and a project needs one of them, and the sort order.
+ * The filter is kept in the address so it can be shared:
+ * index.html?tag=SQL&sort=name#projets
+ */
+class ProjectFilters extends ProjectView {
+    constructor(options) {
+        super(options);
+        this.root = document.querySelector('[data-project-filters]');
+        this.chips = this.root.querySelector('[data-filter-tags]');
+        this.sortSelect = this.root.querySelector('[data-filter-sort]');
+        this.resetButton = this.root.querySelector('[data-filter-reset]');
+        this.status = this.root.querySelector('[data-filter-status]');
+        this.filter = ProjectFilters.fromURL();
+
+        // French default, overridden by the i18n catalog when loaded
+        this.messages = {
+            'projects.filter.status': '{count} projet(s) sur {total}'
+        };
+    }
+
+    mount() {
+        super.mount();
+
+        this.listen(this.chips, 'click', (e) => {
+            const chip = e.target.closest('[data-tag]');
+            if (!chip) return;
+
+            const selected = this.getSelectedTags();
+            const tags = selected.includes(chip.dataset.tag)
+                ? selected.filter(tag => tag !== chip.dataset.tag)
+                : [...selected, chip.dataset.tag];
+            this.apply({ tags });
+        });
+        this.listen(this.sortSelect, 'change', () => this.apply({ sort: this.sortSelect.value }));
+        this.listen(this.resetButton, 'click', () => this.apply({ tags: [] }));
+
+        this.onDestroy(this.events.on('projects:filtered', (filter) => {
+            this.filter = filter;
+            history.replaceState(history.state, '', ProjectFilters.toURL(filter));
+            if (this.catalog.projects) this.update();
+        }));
+    }
+
+    apply(changes) {
+        this.events.emit('projects:filtered', { tags: this.getSelectedTags(), sort: this.filter.sort, ...changes });
+    }
+
+    /**
+     * Tags of the address that exist in the catalog
+     */
+    getSelectedTags() {
+        return this.catalog.findTags(this.filter.tags);
+    }
+
+    render() {
+        this.chips.replaceChildren(...this.catalog.getTags().map(tag => {
+            const chip = this.createElement('button', 'filter-chip');
+            chip.type = 'button';
+            chip.dataset.tag = tag;
+            chip.textContent = tag;
+            return chip;
+        }));
+        this.update();
+    }
+
+    /**
+     * Chip states, sort order and the number of projects shown; the chips are
+     * kept so a pressed one keeps the focus
+     */
+    update() {
+        const selected = this.getSelectedTags();
+
+        this.chips.querySelectorAll('[data-tag]').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(selected.includes(chip.dataset.tag)));
+        });
+        this.sortSelect.value = this.filter.sort;
+        this.resetButton.hidden = selected.length === 0;
+
+        const count = this.catalog.filter(selected).length;
+        this.status.textContent = this.message('projects.filter.status', { count, total: this.catalog.projects.length });
+    }
+
+    /**
+     * @returns {{tags: string[], sort: string}} The filter in the address, every project most recent first by default
+     */
+    static fromURL(search = location.search) {
+        const params = new URLSearchParams(search);
+        const sort = params.get('sort');
+
+        return {
+            tags: params.getAll('tag'),
+            sort: ProjectFilters.SORTS.includes(sort) ? sort : ProjectFilters.SORTS[0]
+        };
+    }
+
+    /**
+     * The current address with `filter` in its query; other parameters are kept
+     * @param {string} hash - Defaults to the current one
+     */
+    static toURL({ tags, sort }, hash = location.hash) {
+        const params = new URLSearchParams(location.search);
+        params.delete('tag');
+        params.delete('sort');
+        tags.forEach(tag => params.append('tag', tag));
+        if (sort !== ProjectFilters.SORTS[0]) params.set('sort', sort);
+
+        const search = params.toString();
+        return `${location.pathname}${search ? `?${search}` : ''}${hash}`;
+    }
+}
+
+// The first one is the default and stays out of the address
+ProjectFilters.SORTS = ['date', 'name'];
+
+/**
+ * Hero and body of a project page, <body data-project="jeu-video">. Without
+ * the attribute the id comes from the address: projet.html?id=jeu-video.
+ * What the HTML already holds (the French text of a dedicated page) stays
+ * until the catalog is loaded, then is replaced in the current language
+ */
+class ProjectPage extends ProjectView {
+    constructor(options) {
+        super(options);
+        this.ownPage = Boolean(document.body.dataset.project);
+        this.id = document.body.dataset.project || new URLSearchParams(location.search).get('id');
+        this.fields = document.querySelectorAll('[data-project-field]');
+        this.body = document.querySelector('[data-project-body]');
+
+        // French defaults, overridden by the i18n catalog when loaded
+        this.messages = {
+            'project.not-found': 'Ce projet est introuvable.',
+            'project.source': 'Code source',
+            'project.demo': 'Démo'
+        };
+    }
+
+    render() {
+        const project = this.catalog.get(this.id);
+        if (!project) {
+            // Warn once, not on every language change
+            if (!this.missing) console.warn(`Unknown project "${this.id}"`);
+            this.missing = true;
+            if (this.body) {
+                this.body.replaceChildren(this.createElement('p', 'project-missing', this.message('project.not-found')));
+            }
+            return;
+        }
+
+        this.fields.forEach(field => this.renderField(field, project));
+
+        if (this.body) {
+            this.body.replaceChildren(...(project.body || []).map(section => this.createSection(section)));
+            this.events.emit('projects:rendered', { root: this.body, count: 1 });
+        }
+
+        // Dedicated pages keep their translated <title>
+        if (!this.ownPage) {
+            document.title = `${this.plainText(project.title)} - Mehdi EL ALLAM`;
+        }
+    }
+
+    renderField(element, project) {
+        switch (element.dataset.projectField) {
+            case 'title':
+                element.innerHTML = sanitizeHTML(this.text(project.title));
+                break;
+            case 'shortTitle':
+                element.innerHTML = sanitizeHTML(this.text(project.shortTitle || project.title));
+                break;
+            case 'meta':
+                element.innerHTML = `${sanitizeHTML(this.text(project.type))} | ${escapeHTML(this.getYears(project.dates))}`;
+                break;
+            case 'technologies':
+                element.replaceChildren(...this.createTags(project.technologies || project.tags).children);
+                break;
+            case 'links':
+                element.replaceChildren(...ProjectPage.LINKS
+                    .filter(name => project.links && project.links[name])
+                    .map(name => this.createLink(project.links[name], this.message(`project.${name}`))));
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * "2024", or "2023 – 2024" for a project spanning two years
+     */
+    getYears({ start, end = start }) {
+        const from = start.slice(0, 4);
+        const to = end.slice(0, 4);
+        return from === to ? from : `${from} – ${to}`;
+    }
+
+    createLink(href, label) {
+        const link = this.createElement('a', 'btn btn-secondary btn-small');
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = label;
+        return link;
+    }
+
+    createSection(section) {
+        const block = this.createElement('div', 'content-block card-animate');
+
+        if (ProjectPage.ICONS[section.icon]) {
+            const iconBox = this.createElement('div', 'icon-box');
+            iconBox.append(this.createIcon(ProjectPage.ICONS[section.icon], 40));
+            block.append(iconBox);
+        }
+
+        block.append(this.createElement('h2', '', section.title), ...this.createBlocks(section.content));
+        return block;
+    }
+
+    createBlocks(blocks = []) {
+        return blocks.map(block => this.createBlock(block)).filter(Boolean);
+    }
+
+    /**
+     * One element per block type of projects.schema.json, with the classes of project-page.css
+     */
+    createBlock(block) {
+        switch (block.type) {
+            case 'paragraph':
+                return this.createElement('p', '', block.text);
+            case 'heading':
+                return this.createElement('h3', '', block.text);
+            case 'list':
+                return this.createList(block.items, block.style);
+            case 'info':
+                return this.createGroup('content-info', block.items.map(item => this.createElement('div', 'info-item', item)));
+            case 'features':
+                return this.createGroup('features-grid', block.items.map(item => {
+                    const feature = this.createElement('div', 'feature-item');
+                    feature.append(this.createIcon(ProjectPage.ICONS.check, 24), this.createElement('span', '', item));
+                    return feature;
+                }));
+            case 'tools':
+                return this.createGroup('tools-grid', block.items.map(item => {
+                    const tool = this.createElement('div', 'tool-item');
+                    tool.append(this.createElement('h4', '', item.title), this.createElement('p', '', item.text));
+                    return tool;
+                }));
+            case 'timeline':
+                return this.createGroup('timeline', block.items.map(item => {
+                    const step = this.createElement('div', 'timeline-item');
+                    const content = this.createElement('div', 'timeline-content');
+                    content.append(this.createElement('h4', '', item.title), ...this.createBlocks(item.content));
+                    step.append(this.createElement('div', 'timeline-dot'), content);
+                    return step;
+                }));
+            case 'skills':
+            case 'contribution': {
+                const [groupClass, itemClass] = block.type === 'skills'
+                    ? ['skills-learned', 'skill-category']
+                    : ['contribution-grid', 'contribution-item'];
+                return this.createGroup(groupClass, block.items.map(item => {
+                    const column = this.createElement('div', itemClass);
+                    column.append(this.createElement('h4', '', item.title), ...this.createBlocks(item.content));
+                    return column;
+                }));
+            }
+            case 'highlight': {
+                const highlight = this.createElement('div', 'personal-highlight');
+                highlight.append(this.createElement('h4', '', block.title), ...this.createBlocks(block.content));
+                return highlight;
+            }
+            default:
+                console.warn(`Unknown project block "${block.type}"`);
+                return null;
+        }
+    }
+
+    createGroup(className, children) {
+        const group = this.createElement('div', className);
+        group.append(...children);
+        return group;
+    }
+
+    createList(items, style) {
+        const list = this.createElement('ul', style);
+        list.append(...items.map(item => this.createElement('li', '', item)));
+        return list;
+    }
+
+    createIcon(shapes, size) {
+        const icon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        icon.setAttribute('width', size);
+        icon.setAttribute('height', size);
+        icon.setAttribute('viewBox', '0 0 24 24');
+        icon.setAttribute('fill', 'none');
+        icon.setAttribute('stroke', 'currentColor');
+        icon.setAttribute('stroke-width', '2');
+        icon.setAttribute('aria-hidden', 'true');
+        icon.innerHTML = shapes;
+        return icon;
+    }
+}
+
+/**
+ * Optional links of a project, shown in the hero as buttons
+ */
+ProjectPage.LINKS = ['source', 'demo'];
+
+/**
+ * Section icons (24×24 strokes), referenced by name from projects.json
+ */
+ProjectPage.ICONS = {
+    briefcase: '<rect x="2" y="7" width="20" height="14" rx="2" ry="2"></rect><path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"></path>',
+    book: '<path d="M2 3h6a4 4 0 0 1 4 4v14a3 3 0 0 0-3-3H2z"></path><path d="M22 3h-6a4 4 0 0 0-4 4v14a3 3 0 0 1 3-3h7z"></path>',
+    cast: '<path d="M2 16.1A5 5 0 0 1 5.9 20M2 12.05A9 9 0 0 1 9.95 20M2 8V6a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2h-6"></path><line x1="2" y1="20" x2="2.01" y2="20"></line>',
+    check: '<polyline points="20 6 9 17 4 12"></polyline>',
+    'check-circle': '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline>',
+    clock: '<circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline>',
+    code: '<polyline points="16 18 22 12 16 6"></polyline><polyline points="8 6 2 12 8 18"></polyline>',
+    database: '<ellipse cx="12" cy="5" rx="9" ry="3"></ellipse><path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"></path><path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"></path>',
+    dollar: '<path d="M12 2v20M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"></path>',
+    user: '<path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path><circle cx="12" cy="7" r="4"></circle>'
+};
+
+// ========================================
+// Skill Tags
+// ========================================
+
+/**
+ * The .skill-tag labels of the CV become buttons opening a popover with the
+ * projects tagged the same way in projects.json and the competences naming the
+ * skill in their data-skills, plus a link to the filtered project list.
+ * data-skills repeats the untranslated .comp-tech-tags, so matches do not
+ * change with the language
+ */
+class SkillTags extends ProjectView {
+    /**
+     * @param {Object} options - catalog, i18n and events as for ProjectView, scroll (ScrollScheduler)
+     */
+    constructor({ scroll = ScrollScheduler.shared(), ...options } = {}) {
+        super(options);
+        this.scroll = scroll;
+        this.tags = [...document.querySelectorAll('.skill-tag')];
+        this.competences = document.querySelectorAll('.comp-card');
+        this.buttons = [];
+        this.popover = null;
+        this.active = null;
+
+        // French defaults, overridden by the i18n catalog when loaded
+        this.messages = {
+            'skill.label': '{name} : {count} projet(s)',
+            'skill.projects': 'Projets ({count})',
+            'skill.competences': 'Compétences ({count})',
+            'skill.none': 'Aucun pour le moment',
+            'skill.show-projects': 'Voir ces projets',
+            'skill.close': 'Fermer'
+        };
+    }
+
+    mount() {
+        super.mount();
+
+        this.tags.forEach((tag, index) => {
             // Add stagger animation delay
             tag.style.animationDelay = `${index * 0.05}s`;
         });
+
+        this.listen(document, 'click', (e) => {
+            const button = e.target.closest('button.skill-tag');
+            if (button) {
+                this.toggle(button);
+            } else if (this.active && !this.popover.contains(e.target)) {
+                this.close();
+            }
+        });
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.active) this.close(true);
+        });
+
+        this.onDestroy(this.scroll.subscribe({
+            write: ({ resized }) => {
+                if (resized && this.active) this.position();
+            }
+        }));
+
+        this.onDestroy(() => {
+            this.close();
+            if (this.popover) this.popover.remove();
+            this.popover = null;
+            this.buttons.forEach((button, index) => button.replaceWith(this.tags[index]));
+            this.buttons = [];
+        });
+    }
+
+    render() {
+        if (!this.buttons.length) {
+            this.buttons = this.tags.map(tag => {
+                const button = this.createButton(tag);
+                tag.replaceWith(button);
+                return button;
+            });
+            this.createPopover();
+        }
+
+        this.buttons.forEach(button => {
+            const { projects } = this.getUses(button.dataset.skill);
+            button.setAttribute('aria-label', this.message('skill.label', { name: button.dataset.skill, count: projects.length }));
+        });
+
+        if (this.active) this.fill(this.active);
+    }
+
+    createButton(tag) {
+        const name = tag.textContent.trim();
+        const { projects } = this.getUses(name);
+
+        const button = this.createElement('button', tag.className);
+        button.type = 'button';
+        button.dataset.skill = name;
+        button.style.animationDelay = tag.style.animationDelay;
+        button.setAttribute('aria-expanded', 'false');
+        button.setAttribute('aria-controls', 'skill-popover');
+        button.textContent = name;
+
+        if (projects.length) {
+            const count = this.createElement('span', 'skill-tag-count');
+            count.textContent = projects.length;
+            button.append(count);
+        }
+        return button;
+    }
+
+    /**
+     * Projects whose tags include `name` and competences listing it, whatever the case
+     */
+    getUses(name) {
+        const tags = this.catalog.findTags([name]);
+        const skill = name.toLowerCase();
+
+        return {
+            tags,
+            projects: tags.length ? this.catalog.filter(tags) : [],
+            competences: [...this.competences].filter(card => (
+                (card.dataset.skills || '').split(',').some(tag => tag.trim().toLowerCase() === skill)
+            ))
+        };
+    }
+
+    toggle(button) {
+        if (this.active === button) {
+            this.close();
+        } else {
+            this.open(button);
+        }
+    }
+
+    open(button) {
+        this.close();
+
+        this.active = button;
+        button.setAttribute('aria-expanded', 'true');
+        this.fill(button);
+        this.popover.hidden = false;
+        this.position();
+        this.popover.focus({ preventScroll: true });
+    }
+
+    /**
+     * @param {boolean} restoreFocus - Give the focus back to the skill (Escape, close button)
+     */
+    close(restoreFocus = false) {
+        if (!this.active) return;
+
+        this.popover.hidden = true;
+        this.active.setAttribute('aria-expanded', 'false');
+        if (restoreFocus) this.active.focus();
+        this.active = null;
+    }
+
+    /**
+     * Appended to <body>: the CV cards clip their overflow
+     */
+    createPopover() {
+        this.popover = this.createElement('div', 'skill-popover');
+        this.popover.id = 'skill-popover';
+        this.popover.setAttribute('role', 'dialog');
+        this.popover.setAttribute('aria-modal', 'true');
+        this.popover.setAttribute('aria-labelledby', 'skill-popover-title');
+        this.popover.tabIndex = -1;
+        this.popover.hidden = true;
+
+        // Modal while open: Tab cycles through its links and buttons until it closes
+        this.listen(this.popover, 'keydown', (e) => {
+            if (e.key === 'Tab') this.trapFocus(e);
+        });
+
+        this.listen(this.popover, 'click', (e) => {
+            if (e.target.closest('.skill-popover-close')) {
+                this.close(true);
+                return;
+            }
+
+            // Filter before AnchorRouter sees the link: with the filter in the
+            // address, it is a link into this page and only scrolls
+            const jump = e.target.closest('[data-skill-jump]');
+            if (jump) {
+                this.events.emit('projects:filtered', { tags: [jump.dataset.skillJump], sort: ProjectFilters.fromURL().sort });
+                this.close();
+            }
+        });
+
+        document.body.append(this.popover);
+    }
+
+    trapFocus(e) {
+        const focusable = [...this.popover.querySelectorAll('a[href], button')];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.popover)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    fill(button) {
+        const name = button.dataset.skill;
+        const { tags, projects, competences } = this.getUses(name);
+
+        const title = this.createElement('p', 'skill-popover-title');
+        title.id = 'skill-popover-title';
+        title.textContent = name;
+
+        const close = this.createElement('button', 'skill-popover-close');
+        close.type = 'button';
+        close.setAttribute('aria-label', this.message('skill.close'));
+        close.textContent = '×';
+
+        this.popover.replaceChildren(
+            title,
+            close,
+            this.createList(this.message('skill.projects', { count: projects.length }), projects.map(project => ({
+                label: this.plainText(project.title),
+                href: this.catalog.getURL(project)
+            }))),
+            this.createList(this.message('skill.competences', { count: competences.length }), competences.map(card => ({
+                label: card.querySelector('.comp-title').textContent.trim(),
+                href: card.getAttribute('href')
+            })))
+        );
+
+        if (projects.length) {
+            const jump = this.createElement('a', 'btn btn-small');
+            jump.href = ProjectFilters.toURL({ tags: [tags[0]], sort: ProjectFilters.fromURL().sort }, '#projets');
+            jump.dataset.skillJump = tags[0];
+            jump.textContent = this.message('skill.show-projects');
+            this.popover.append(jump);
+        }
+    }
+
+    /**
+     * @param {string} heading
+     * @param {Array<{label: string, href: string}>} items
+     */
+    createList(heading, items) {
+        const section = this.createElement('div', 'skill-popover-section');
+        const title = this.createElement('h4');
+        title.textContent = heading;
+        section.append(title);
+
+        if (!items.length) {
+            const empty = this.createElement('p', 'skill-popover-empty');
+            empty.textContent = this.message('skill.none');
+            section.append(empty);
+            return section;
+        }
+
+        const list = this.createElement('ul');
+        items.forEach(({ label, href }) => {
+            const link = this.createElement('a');
+            link.href = href;
+            link.textContent = label;
+            const item = this.createElement('li');
+            item.append(link);
+            list.append(item);
+        });
+        section.append(list);
+        return section;
+    }
+
+    /**
+     * Below the skill, kept inside the viewport horizontally
+     */
+    position() {
+        const rect = this.active.getBoundingClientRect();
+        const margin = 16;
+        const maxLeft = document.documentElement.clientWidth - this.popover.offsetWidth - margin;
+
+        this.popover.style.top = `${rect.bottom + window.scrollY + 8}px`;
+        this.popover.style.left = `${Math.max(margin, Math.min(rect.left, maxLeft)) + window.scrollX}px`;
     }
 }
 
-// ========================================
-// CV Download Tracking
-// ========================================
+// ========================================
+// Notification Manager
+// ========================================
+
+/**
+ * Toasts shared by every component. Messages are catalog keys rendered with
+ * LanguageManager, so a language switch re-translates the visible ones
+ */
+class NotificationManager {
+    /**
+     * @param {Object} options - i18n (LanguageManager), events (EventBus), duration (ms, 0 keeps the toast),
+     *   max visible toasts
+     */
+    constructor({ i18n = null, events = EventBus.shared(), duration = 5000, max = 3 } = {}) {
+        this.i18n = i18n;
+        this.duration = duration;
+        this.max = max;
+        this.visible = [];
+        this.queue = [];
+        this.count = 0;
+        this.region = null;
+
+        // French defaults, overridden by the toast.* catalog entries
+        this.messages = {
+            'toast.region': 'Notifications',
+            'toast.dismiss': 'Fermer la notification',
+            'toast.cv-downloaded': 'CV téléchargé avec succès !',
+            'toast.copied': 'Copié dans le presse-papiers',
+            'toast.copy-failed': 'Impossible de copier, sélectionnez le texte manuellement',
+            'toast.offline': 'Vous êtes hors ligne, certaines fonctionnalités sont indisponibles.',
+            'toast.online': 'Connexion rétablie',
+            'toast.error': 'Une erreur inattendue est survenue.',
+            'pwa.update': 'Une nouvelle version du site est disponible.',
+            'pwa.reload': 'Recharger'
+        };
+
+        // Shown toasts are re-translated by translatePage(), queued ones are not in the DOM yet
+        events.on('language:changed', () => {
+            this.queue.forEach(toast => {
+                toast.text = this.message(toast.key, toast.params, toast.fallback);
+            });
+        });
+    }
+
+    success(key, options = {}) {
+        return this.notify(key, { ...options, type: 'success' });
+    }
+
+    info(key, options = {}) {
+        return this.notify(key, { ...options, type: 'info' });
+    }
+
+    warning(key, options = {}) {
+        return this.notify(key, { ...options, type: 'warning' });
+    }
+
+    error(key, options = {}) {
+        return this.notify(key, { ...options, type: 'error' });
+    }
+
+    /**
+     * Show a toast, or queue it while `max` toasts are on screen
+     * @param {string} key - Catalog key of the message
+     * @param {Object} options - type, params, text (initial text when the key is not
+     *   in this.messages), duration, id (a toast with the same id is replaced),
+     *   action ({ key, text, onClick } for a button next to the message)
+     * @returns {string} Toast id, for dismiss()
+     */
+    notify(key, { type = 'info', params = {}, text, duration = this.duration, id, action } = {}) {
+        if (id) {
+            this.dismiss(id, true);
+        }
+
+        const toast = {
+            id: id || `toast-${++this.count}`,
+            key,
+            type,
+            params,
+            fallback: text,
+            text: this.message(key, params, text),
+            action,
+            remaining: duration
+        };
+
+        if (this.visible.length < this.max) {
+            this.show(toast);
+        } else {
+            this.queue.push(toast);
+        }
+
+        return toast.id;
+    }
+
+    /**
+     * Remove a toast, or drop it from the queue if it is not shown yet
+     * @param {boolean} immediate - Skip the leave animation
+     */
+    dismiss(id, immediate = false) {
+        this.queue = this.queue.filter(toast => toast.id !== id);
+
+        const toast = this.visible.find(item => item.id === id);
+        if (!toast) return;
+
+        this.pause(toast);
+        this.visible.splice(this.visible.indexOf(toast), 1);
+
+        if (immediate) {
+            toast.element.remove();
+        } else {
+            toast.element.classList.add('is-leaving');
+            setTimeout(() => toast.element.remove(), 300);
+        }
+
+        if (this.queue.length) {
+            this.show(this.queue.shift());
+        }
+    }
+
+    show(toast) {
+        const region = this.getRegion();
+        const element = document.createElement('div');
+        element.className = `toast toast-${toast.type}`;
+        element.dataset.toastId = toast.id;
+
+        // Errors and warnings interrupt, the others wait in the polite region
+        if (toast.type === 'error' || toast.type === 'warning') {
+            element.setAttribute('role', 'alert');
+        }
+
+        const message = document.createElement('p');
+        message.className = 'toast-message';
+        message.textContent = toast.text;
+        message.setAttribute('data-i18n', toast.key);
+        if (Object.keys(toast.params).length) {
+            message.setAttribute('data-i18n-params', JSON.stringify(toast.params));
+        }
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'toast-close';
+        close.textContent = '×';
+        close.setAttribute('aria-label', this.message('toast.dismiss'));
+        close.setAttribute('data-i18n-attr', 'aria-label:toast.dismiss');
+        close.addEventListener('click', () => this.dismiss(toast.id));
+
+        element.append(message);
+
+        if (toast.action) {
+            const action = document.createElement('button');
+            action.type = 'button';
+            action.className = 'toast-action';
+            action.textContent = this.message(toast.action.key, {}, toast.action.text);
+            action.setAttribute('data-i18n', toast.action.key);
+            action.addEventListener('click', () => {
+                this.dismiss(toast.id);
+                toast.action.onClick();
+            });
+            element.append(action);
+        }
+
+        element.append(close);
+
+        // Reading or reaching the toast stops its countdown
+        element.addEventListener('mouseenter', () => {
+            toast.hovered = true;
+            this.pause(toast);
+        });
+        element.addEventListener('mouseleave', () => {
+            toast.hovered = false;
+            if (!element.contains(document.activeElement)) this.resume(toast);
+        });
+        element.addEventListener('focusin', () => this.pause(toast));
+        element.addEventListener('focusout', (e) => {
+            if (!toast.hovered && !element.contains(e.relatedTarget)) this.resume(toast);
+        });
+
+        toast.element = element;
+        this.visible.push(toast);
+        region.appendChild(element);
+        this.resume(toast);
+    }
+
+    /**
+     * Lazily create the live region holding the stack
+     */
+    getRegion() {
+        if (this.region) return this.region;
+
+        this.region = document.createElement('div');
+        this.region.className = 'toast-region';
+        this.region.setAttribute('role', 'region');
+        this.region.setAttribute('aria-live', 'polite');
+        this.region.setAttribute('aria-label', this.message('toast.region'));
+        this.region.setAttribute('data-i18n-attr', 'aria-label:toast.region');
+
+        // Escape dismisses the toast holding the focus
+        this.region.addEventListener('keydown', (e) => {
+            const element = e.key === 'Escape' && e.target.closest('.toast');
+            if (element) {
+                e.preventDefault();
+                this.dismiss(element.dataset.toastId);
+            }
+        });
+
+        document.body.appendChild(this.region);
+        return this.region;
+    }
+
+    resume(toast) {
+        if (!toast.remaining || toast.timer) return;
+
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(() => this.dismiss(toast.id), toast.remaining);
+    }
+
+    pause(toast) {
+        if (!toast.timer) return;
+
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining = Math.max(toast.remaining - (Date.now() - toast.startedAt), 1);
+    }
+
+    message(key, params = {}, text) {
+        const translation = this.i18n ? this.i18n.t(key, params) : key;
+        if (translation !== key) return translation;
+
+        const fallback = this.messages[key] || text || key;
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    /**
+     * Keep a warning on screen while the browser is offline
+     */
+    watchConnection() {
+        window.addEventListener('offline', () => this.warning('toast.offline', { id: 'connection', duration: 0 }));
+        window.addEventListener('online', () => this.success('toast.online', { id: 'connection' }));
+
+        if (navigator.onLine === false) {
+            this.warning('toast.offline', { id: 'connection', duration: 0 });
+        }
+    }
+
+    /**
+     * Report uncaught errors once, instead of failing silently
+     */
+    watchErrors() {
+        const report = () => this.error('toast.error', { id: 'error' });
+        window.addEventListener('error', report);
+        window.addEventListener('unhandledrejection', report);
+    }
+}
+
+// ========================================
+// Copy to Clipboard
+// ========================================
+
+class ClipboardCopy extends Component {
+    constructor({ notifications = null } = {}) {
+        super();
+        this.notifications = notifications;
+        this.buttons = document.querySelectorAll('[data-copy]');
+    }
+
+    mount() {
+        super.mount();
+        this.buttons.forEach(button => {
+            this.listen(button, 'click', () => this.copy(button.dataset.copy));
+        });
+    }
+
+    async copy(text) {
+        try {
+            // Only available in secure contexts (https, localhost)
+            await navigator.clipboard.writeText(text);
+            if (this.notifications) this.notifications.success('toast.copied');
+        } catch (error) {
+            if (this.notifications) this.notifications.error('toast.copy-failed');
+        }
+    }
+}
+
+// ========================================
+// Analytics
+// ========================================
+
+/**
+ * Default adapter: events are dropped
+ */
+class NoopAnalyticsAdapter {
+    send() {}
+}
+
+/**
+ * Posts batches as JSON; sendBeacon keeps working while the page unloads.
+ * A cross-origin endpoint must be allowed by the CSP connect-src directive
+ */
+class BeaconAnalyticsAdapter {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+    }
+
+    send(events) {
+        const body = new Blob([JSON.stringify({ events })], { type: 'application/json' });
+
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, body)) return;
+
+        fetch(this.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {
+            // Analytics never surface errors to visitors
+        });
+    }
+}
+
+/**
+ * Event tracking behind an explicit consent gate. Nothing is recorded while
+ * consent is missing or the browser sends Do Not Track
+ */
+class Analytics {
+    /**
+     * @param {Object} options - adapter, endpoint (defaults to <meta name="analytics-endpoint">),
+     *   events (EventBus to record, see Analytics.BUS_EVENTS), batchSize, flushInterval (ms)
+     */
+    constructor({ adapter, endpoint, events = EventBus.shared(), batchSize = 10, flushInterval = 10000 } = {}) {
+        const meta = document.querySelector('meta[name="analytics-endpoint"]');
+        endpoint = endpoint || (meta && meta.content);
+
+        this.adapter = adapter || (endpoint ? new BeaconAnalyticsAdapter(endpoint) : new NoopAnalyticsAdapter());
+        this.i18n = null; // Linked once LanguageManager exists, which itself reports switches here
+        this.batchSize = batchSize;
+        this.flushInterval = flushInterval;
+        this.queue = [];
+        this.timer = null;
+        this.banner = null;
+
+        this.init();
+        this.listenTo(events);
+    }
+
+    init() {
+        // Send what is pending before the page goes away
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+
+        // Any [data-analytics-settings] element reopens the consent choice
+        document.querySelectorAll('[data-analytics-settings]').forEach(element => {
+            element.addEventListener('click', () => this.showConsent());
+        });
+
+        // Only ask when events would actually leave the browser
+        if (!(this.adapter instanceof NoopAnalyticsAdapter) && !this.doNotTrack() && this.getConsent() === null) {
+            this.showConsent();
+        }
+    }
+
+    setI18n(languageManager) {
+        this.i18n = languageManager;
+    }
+
+    /**
+     * Record the bus events mapped in Analytics.BUS_EVENTS
+     */
+    listenTo(events) {
+        Object.entries(Analytics.BUS_EVENTS).forEach(([type, toEvent]) => {
+            events.on(type, (detail) => {
+                const event = toEvent(detail);
+                if (event) this.track(event.name, event.props);
+            });
+        });
+    }
+
+    doNotTrack() {
+        return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+    }
+
+    /**
+     * @returns {boolean|null} The stored choice, null until the visitor answers
+     */
+    getConsent() {
+        try {
+            const consent = localStorage.getItem('analytics-consent');
+            return consent === null ? null : consent === 'granted';
+        } catch (e) {
+            return null;
+        }
+    }
+
+    setConsent(granted) {
+        try {
+            localStorage.setItem('analytics-consent', granted ? 'granted' : 'denied');
+        } catch (e) {
+            // Storage unavailable: the banner will ask again on the next page
+        }
+
+        if (!granted) {
+            this.queue = [];
+        }
+        this.hideConsent();
+    }
+
+    isEnabled() {
+        return !this.doNotTrack() && this.getConsent() === true;
+    }
+
+    /**
+     * Record an event; it is sent with the next batch
+     * @param {string} name - Event name, e.g. "cv_download"
+     * @param {Object} props - Event details, never personal data
+     */
+    track(name, props = {}) {
+        if (!this.isEnabled()) return;
+
+        this.queue.push({
+            name,
+            props,
+            page: location.pathname,
+            lang: document.documentElement.lang,
+            time: new Date().toISOString()
+        });
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.queue.length) return;
+        this.adapter.send(this.queue.splice(0));
+    }
+
+    showConsent() {
+        if (this.banner) return;
+
+        this.banner = document.createElement('div');
+        this.banner.className = 'consent-banner';
+        this.banner.setAttribute('role', 'region');
+        this.banner.setAttribute('aria-label', 'Statistiques de visite');
+        this.banner.setAttribute('data-i18n-attr', 'aria-label:consent.label');
+        this.banner.innerHTML = `
+            <p data-i18n="consent.text">Ce site peut mesurer les visites de façon anonyme (pages vues, téléchargement du CV). Acceptez-vous ?</p>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-small" data-consent="granted" data-i18n="consent.accept">Accepter</button>
+                <button type="button" class="btn btn-secondary btn-small" data-consent="denied" data-i18n="consent.decline">Refuser</button>
+            </div>`;
+
+        this.banner.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-consent]');
+            if (button) {
+                this.setConsent(button.dataset.consent === 'granted');
+            }
+        });
+
+        document.body.appendChild(this.banner);
+        if (this.i18n) {
+            this.i18n.translatePage(this.banner);
+        }
+    }
+
+    hideConsent() {
+        if (!this.banner) return;
+
+        this.banner.remove();
+        this.banner = null;
+    }
+}
+
+/**
+ * Bus event -> recorded event; null skips it (changes the visitor did not make)
+ */
+Analytics.BUS_EVENTS = {
+    'section:entered': ({ id }) => ({ name: 'section_view', props: { section: id } }),
+    'cv:downloaded': ({ file }) => ({ name: 'cv_download', props: { file } }),
+    'language:changed': ({ lang, previous }) => (
+        previous && previous !== lang ? { name: 'language_switch', props: { from: previous, to: lang } } : null
+    ),
+    'snow:toggled': ({ enabled, source }) => (
+        source === 'user' ? { name: 'snow_toggle', props: { enabled } } : null
+    ),
+    'theme:changed': ({ preference, source }) => (
+        source === 'user' ? { name: 'theme_change', props: { preference } } : null
+    ),
+    'form:submitted': ({ status }) => ({ name: 'contact_submit', props: { status } })
+};
+
+// ========================================
+// CV Download Tracking
+// ========================================
+
+/**
+ * A CV per language can be declared on the link: data-href-en="assets/documents/cv_en.pdf".
+ * The href attribute stays the CV of the other languages
+ */
+class CVDownload extends Component {
+    constructor({ notifications = null, events = EventBus.shared() } = {}) {
+        super();
+        this.notifications = notifications;
+        this.events = events;
+        this.downloadButton = document.querySelector('a[download]');
+        this.defaultHref = this.downloadButton ? this.downloadButton.getAttribute('href') : null;
+    }
+
+    mount() {
+        super.mount();
+        if (!this.downloadButton) return;
+
+        this.listen(this.downloadButton, 'click', () => {
+            this.trackDownload();
+        });
+        this.onDestroy(this.events.on('language:changed', ({ lang }) => this.localize(lang)));
+    }
+
+    localize(lang) {
+        const href = this.downloadButton.dataset[`href${lang.charAt(0).toUpperCase()}${lang.slice(1)}`];
+        this.downloadButton.setAttribute('href', href || this.defaultHref);
+    }
+
+    trackDownload() {
+        this.events.emit('cv:downloaded', { file: this.downloadButton.getAttribute('href') });
+
+        // Show confirmation message
+        this.showDownloadConfirmation();
+    }
+
+    showDownloadConfirmation() {
+        if (this.notifications) {
+            this.notifications.success('toast.cv-downloaded');
+        }
+    }
+}
+
+// ========================================
+// Contact Service
+// ========================================
+
+class ContactService {
+    /**
+     * @param {Object} options - endpoint, timeout (ms), retries, retryDelay (ms)
+     */
+    constructor({ endpoint, timeout = 8000, retries = 2, retryDelay = 800 } = {}) {
+        this.endpoint = endpoint;
+        this.timeout = timeout;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+    }
+
+    /**
+     * POST the payload as JSON, retrying network errors, timeouts and 5xx/429 answers
+     */
+    async send(payload) {
+        if (!this.endpoint) {
+            throw new Error('No contact endpoint configured');
+        }
+
+        let lastError;
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            if (attempt > 0) {
+                await this.wait(this.retryDelay * 2 ** (attempt - 1));
+            }
+
+            try {
+                return await this.post(payload);
+            } catch (error) {
+                lastError = error;
+                if (!error.retryable) break;
+            }
+        }
+
+        throw lastError;
+    }
+
+    async post(payload) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+        } catch (e) {
+            const error = new Error(e.name === 'AbortError' ? 'Request timed out' : 'Network error');
+            error.retryable = true;
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            error.retryable = response.status >= 500 || response.status === 429;
+            throw error;
+        }
+
+        return response.json().catch(() => ({}));
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// ========================================
+// Form Validation (if forms are added)
+// ========================================
+
+class FormValidator extends Component {
+    /**
+     * Endpoint and anti-spam settings come from the form's data attributes:
+     * data-endpoint, data-timeout, data-retries, data-min-fill-time, data-mailto
+     * Field rules come from HTML attributes, see FormValidator.rules
+     * @param {HTMLFormElement} formElement
+     * @param {Object} options - i18n: LanguageManager used for status and error messages,
+     *   notifications, events (EventBus)
+     */
+    constructor(formElement, { i18n = null, notifications = null, events = EventBus.shared() } = {}) {
+        super();
+        this.form = formElement;
+        this.i18n = i18n;
+        this.notifications = notifications;
+        this.events = events;
+        this.statusMessage = null; // { state, key, mailtoHref } shown in the status region
+
+        // French defaults, overridden by the form.* and validation.* catalog entries
+        this.messages = {
+            'form.sending': 'Envoi en cours…',
+            'form.success': 'Merci ! Votre message a bien été envoyé.',
+            'form.failure': 'Le message n\'a pas pu être envoyé.',
+            'form.too-fast': 'Merci de prendre quelques secondes pour relire votre message avant de l\'envoyer.',
+            'form.mailto': 'Envoyer par e-mail',
+            'form.mailto-subject': 'Contact depuis le portfolio',
+            'validation.required': 'Ce champ est requis',
+            'validation.email': 'Veuillez entrer une adresse email valide',
+            'validation.url': 'Veuillez entrer une adresse web valide (https://…)',
+            'validation.phone': 'Veuillez entrer un numéro de téléphone valide',
+            'validation.minlength': 'Au moins {count} caractères',
+            'validation.maxlength': 'Au plus {count} caractères',
+            'validation.pattern': 'Le format n\'est pas valide',
+            'validation.match': 'Les deux champs ne correspondent pas',
+            'validation.invalid': 'Ce champ n\'est pas valide'
+        };
+
+        // Fields start being validated while typing once they have been left
+        this.touched = new WeakSet();
+        this.checks = new WeakMap();
+
+        if (this.form) {
+            const { endpoint, timeout, retries, minFillTime, mailto } = this.form.dataset;
+            this.service = new ContactService({
+                endpoint,
+                timeout: Number(timeout) || undefined,
+                retries: retries !== undefined ? Number(retries) : undefined
+            });
+            this.minFillTime = Number(minFillTime) || 3000;
+            this.mailto = mailto || '';
+            this.honeypot = this.form.querySelector('.form-honeypot input');
+            this.submitButton = this.form.querySelector('[type="submit"]');
+            this.status = this.form.querySelector('.form-status');
+        }
+    }
+
+    mount() {
+        super.mount();
+        if (!this.form) return;
+
+        this.startedAt = Date.now();
+
+        this.listen(this.form, 'submit', async (e) => {
+            e.preventDefault();
+            if (await this.validateForm()) {
+                this.submitForm();
+            }
+        });
+
+        // Field errors carry data-i18n, the status region is written here
+        this.onDestroy(this.events.on('language:changed', () => {
+            if (this.statusMessage) {
+                const { state, key, mailtoHref } = this.statusMessage;
+                this.setStatus(state, key, mailtoHref);
+            }
+        }));
+
+        this.getFields().forEach(field => {
+            this.listen(field, 'blur', () => {
+                this.touched.add(field);
+                this.validateInput(field);
+            });
+
+            this.listen(field, 'input', () => {
+                if (this.touched.has(field)) {
+                    this.validateInput(field);
+                }
+                this.revalidateDependents(field);
+            });
+        });
+    }
+
+    getFields() {
+        return Array.from(this.form.querySelectorAll('input, textarea, select')).filter(field => (
+            field !== this.honeypot && !['submit', 'button', 'hidden'].includes(field.type)
+        ));
+    }
+
+    /**
+     * Re-check fields whose data-match points at the field that just changed
+     */
+    revalidateDependents(field) {
+        this.getFields().forEach(other => {
+            if (other.dataset.match && this.touched.has(other) && this.form.querySelector(other.dataset.match) === field) {
+                this.validateInput(other);
+            }
+        });
+    }
+
+    async validateForm() {
+        const fields = this.getFields();
+        fields.forEach(field => this.touched.add(field));
+
+        const results = await Promise.all(fields.map(field => this.validateInput(field)));
+        const firstInvalid = fields.find((field, index) => !results[index]);
+
+        if (firstInvalid) {
+            firstInvalid.focus();
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Run every rule that applies to the field, in declaration order
+     * @returns {Promise<boolean>}
+     */
+    async validateInput(input) {
+        const check = {};
+        this.checks.set(input, check);
+
+        const value = input.value.trim();
+        let failure = null;
+
+        for (const [name, rule] of Object.entries(FormValidator.rules)) {
+            const params = rule.applies(input, this.form);
+            if (!params) continue;
+
+            // Only "required" looks at empty optional fields
+            if (value === '' && name !== 'required') continue;
+
+            const valid = await rule.validate(value, params, input, this.form);
+            if (!valid) {
+                failure = { name, params };
+                break;
+            }
+        }
+
+        // A newer check started while an async rule was pending
+        if (this.checks.get(input) !== check) {
+            return !failure;
+        }
 
-class CVDownload {
-    constructor() {
-        this.downloadButton = document.querySelector('a[download]');
-        this.init();
+        this.clearError(input);
+        if (failure) {
+            // data-error-<rule> overrides the message key of a rule for this field
+            const key = input.dataset[`error${failure.name.charAt(0).toUpperCase()}${failure.name.slice(1)}`]
+                || `validation.${failure.name}`;
+            this.showError(input, this.hasMessage(key) ? key : 'validation.invalid',
+                failure.params === true ? {} : failure.params);
+            return false;
+        }
+
+        return true;
     }
 
-    init() {
-        if (this.downloadButton) {
-            this.downloadButton.addEventListener('click', () => {
-                this.trackDownload();
-            });
+    clearError(input) {
+        const existingError = input.parentElement.querySelector('.error-message');
+        if (existingError) {
+            existingError.remove();
         }
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('aria-describedby');
     }
 
-    trackDownload() {
-        // Log download event (can be extended with analytics)
-        console.log('CV downloaded:', new Date().toISOString());
+    /**
+     * Show a catalog message under the field; the key stays on the element so a
+     * language switch re-translates it
+     */
+    showError(input, key, params = {}) {
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-message';
+        errorDiv.textContent = this.message(key, params);
+        errorDiv.setAttribute('data-i18n', key);
+        errorDiv.setAttribute('data-i18n-params', JSON.stringify(params));
 
-        // Show confirmation message
-        this.showDownloadConfirmation();
+        if (input.id) {
+            errorDiv.id = `${input.id}-error`;
+            input.setAttribute('aria-describedby', errorDiv.id);
+        }
+
+        input.parentElement.appendChild(errorDiv);
+        // The red border comes from the [aria-invalid="true"] rule
+        input.setAttribute('aria-invalid', 'true');
     }
 
-    showDownloadConfirmation() {
-        // Create temporary notification
-        const notification = document.createElement('div');
-        notification.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            background: #10b981;
-            color: white;
-            padding: 1rem 1.5rem;
-            border-radius: 0.5rem;
-            box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1);
-            z-index: 9999;
-            animation: slideInUp 0.3s ease;
-        `;
-        notification.textContent = 'CV téléchargé avec succès !';
-
-        document.body.appendChild(notification);
-
-        // Remove after 3 seconds
-        setTimeout(() => {
-            notification.style.animation = 'fadeOut 0.3s ease';
-            setTimeout(() => {
-                document.body.removeChild(notification);
-            }, 300);
-        }, 3000);
+    hasMessage(key) {
+        return key in this.messages || Boolean(this.i18n && this.i18n.lookup(key) !== undefined);
     }
-}
 
-// ========================================
-// Form Validation (if forms are added)
-// ========================================
+    message(key, params = {}) {
+        const translation = this.i18n ? this.i18n.t(key, params) : key;
+        if (translation !== key) return translation;
 
-class FormValidator {
-    constructor(formElement) {
-        this.form = formElement;
-        if (this.form) {
-            this.init();
-        }
+        const fallback = this.messages[key] || key;
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
     }
 
-    init() {
-        this.form.addEventListener('submit', (e) => {
-            e.preventDefault();
-            if (this.validateForm()) {
-                this.submitForm();
+    getPayload() {
+        const data = {};
+        new FormData(this.form).forEach((value, name) => {
+            if (!this.honeypot || name !== this.honeypot.name) {
+                data[name] = String(value).trim();
             }
         });
+
+        return {
+            ...data,
+            language: document.documentElement.lang,
+            page: window.location.pathname
+        };
     }
 
-    validateForm() {
-        const inputs = this.form.querySelectorAll('input[required], textarea[required]');
-        let isValid = true;
+    async submitForm() {
+        if (this.pending) return;
 
-        inputs.forEach(input => {
-            if (!this.validateInput(input)) {
-                isValid = false;
-            }
+        // Bots fill every field: pretend it worked and send nothing
+        if (this.honeypot && this.honeypot.value !== '') {
+            this.onSuccess();
+            return;
+        }
+
+        // Humans need a few seconds to write a message
+        if (Date.now() - this.startedAt < this.minFillTime) {
+            this.setStatus('error', 'form.too-fast');
+            return;
+        }
+
+        const payload = this.getPayload();
+        this.setLoading(true);
+
+        try {
+            await this.service.send(payload);
+            this.events.emit('form:submitted', { form: this.form.id, status: 'sent' });
+            this.onSuccess();
+        } catch (error) {
+            console.warn('Contact form submission failed:', error.message);
+            this.events.emit('form:submitted', { form: this.form.id, status: 'failed' });
+            this.setStatus('error', 'form.failure', this.buildMailto(payload));
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    onSuccess() {
+        this.form.reset();
+        this.getFields().forEach(field => {
+            this.touched.delete(field);
+            this.clearError(field);
         });
+        this.startedAt = Date.now();
 
-        return isValid;
+        // The confirmation outlives the form status when a toast is available
+        if (this.notifications) {
+            this.setStatus('idle');
+            this.notifications.success('form.success', { text: this.messages['form.success'] });
+        } else {
+            this.setStatus('success', 'form.success');
+        }
     }
 
-    validateInput(input) {
-        const value = input.value.trim();
+    setLoading(isLoading) {
+        this.pending = isLoading;
+        this.form.setAttribute('aria-busy', String(isLoading));
 
-        // Remove existing error message
-        const existingError = input.parentElement.querySelector('.error-message');
-        if (existingError) {
-            existingError.remove();
+        if (this.submitButton) {
+            this.submitButton.disabled = isLoading;
         }
 
-        // Check if empty
-        if (value === '') {
-            this.showError(input, 'Ce champ est requis');
-            return false;
+        if (isLoading) {
+            this.setStatus('loading', 'form.sending');
         }
+    }
 
-        // Email validation
-        if (input.type === 'email') {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                this.showError(input, 'Veuillez entrer une adresse email valide');
-                return false;
-            }
+    /**
+     * Update the live region; failures also offer a mailto link with the message prefilled
+     * @param {string} key - Catalog key of the message, none for an empty status
+     */
+    setStatus(state, key = '', mailtoHref = '') {
+        if (!this.status) return;
+
+        this.statusMessage = key ? { state, key, mailtoHref } : null;
+        this.status.className = `form-status is-${state}`;
+        this.status.textContent = key ? this.message(key) : '';
+
+        if (mailtoHref) {
+            const link = document.createElement('a');
+            link.href = mailtoHref;
+            link.className = 'form-status-link';
+            link.textContent = this.message('form.mailto');
+            this.status.append(' ', link);
         }
+    }
 
-        // Sanitize input
-        input.value = sanitizeHTML(value);
+    buildMailto(payload) {
+        if (!this.mailto) return '';
 
-        return true;
+        const subject = encodeURIComponent(`${this.message('form.mailto-subject')} - ${payload.name || ''}`.trim());
+        const body = encodeURIComponent(`${payload.message || ''}\n\n${payload.name || ''} <${payload.email || ''}>`);
+        return `mailto:${this.mailto}?subject=${subject}&body=${body}`;
     }
 
-    showError(input, message) {
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'error-message';
-        errorDiv.style.cssText = `
-            color: #ef4444;
-            font-size: 0.875rem;
-            margin-top: 0.25rem;
-        `;
-        errorDiv.textContent = message;
-        input.parentElement.appendChild(errorDiv);
-        input.style.borderColor = '#ef4444';
+    /**
+     * Register a rule, enabled on a field with data-validate="name"
+     * @param {string} name - Rule name, also the validation.<name> message key
+     * @param {Function} validate - (value, params, input, form) => boolean | Promise<boolean>
+     */
+    static addRule(name, validate) {
+        FormValidator.rules[name] = {
+            applies: input => FormValidator.optsIn(input, name),
+            validate
+        };
     }
 
-    submitForm() {
-        // Handle form submission
-        console.log('Form submitted successfully');
-        // Add your form submission logic here
+    static optsIn(input, name) {
+        return (input.dataset.validate || '').split(/\s+/).includes(name);
     }
 }
 
+/**
+ * Built-in rules. applies() returns the rule parameters (or true) when the
+ * field opts in, validate() may return a Promise for async checks.
+ */
+FormValidator.rules = {
+    required: {
+        applies: input => input.required,
+        validate: value => value !== ''
+    },
+    email: {
+        applies: input => input.type === 'email',
+        validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+    },
+    url: {
+        applies: input => input.type === 'url' || FormValidator.optsIn(input, 'url'),
+        validate: value => {
+            try {
+                return ['http:', 'https:'].includes(new URL(value).protocol);
+            } catch (e) {
+                return false;
+            }
+        }
+    },
+    phone: {
+        applies: input => input.type === 'tel' || FormValidator.optsIn(input, 'phone'),
+        validate: value => /^\+?[\d\s().-]+$/.test(value) && value.replace(/\D/g, '').length >= 6
+            && value.replace(/\D/g, '').length <= 15
+    },
+    minlength: {
+        applies: input => (input.minLength > 0 ? { count: input.minLength } : null),
+        validate: (value, { count }) => value.length >= count
+    },
+    maxlength: {
+        applies: input => (input.maxLength > 0 ? { count: input.maxLength } : null),
+        validate: (value, { count }) => value.length <= count
+    },
+    pattern: {
+        applies: input => (input.getAttribute('pattern') ? { pattern: input.getAttribute('pattern') } : null),
+        validate: (value, { pattern }) => {
+            try {
+                return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+            } catch (e) {
+                return true; // An invalid pattern is ignored, as browsers do
+            }
+        }
+    },
+    match: {
+        applies: (input, form) => (input.dataset.match && form.querySelector(input.dataset.match)
+            ? { selector: input.dataset.match }
+            : null),
+        validate: (value, { selector }, input, form) => value === form.querySelector(selector).value.trim()
+    }
+};
+
 // ========================================
 // Performance Optimization
 // ========================================
 
-class PerformanceOptimizer {
-    constructor() {
-        this.init();
-    }
+class PerformanceOptimizer extends Component {
+    mount() {
+        super.mount();
 
-    init() {
         // Lazy load images
         this.lazyLoadImages();
 
@@ -412,6 +2740,7 @@ class PerformanceOptimizer {
             });
 
             images.forEach(img => imageObserver.observe(img));
+            this.onDestroy(() => imageObserver.disconnect());
         } else {
             // Fallback for older browsers
             images.forEach(img => {
@@ -429,6 +2758,7 @@ class PerformanceOptimizer {
             preloadLink.as = 'document';
             preloadLink.href = cvLink.getAttribute('href');
             document.head.appendChild(preloadLink);
+            this.onDestroy(() => preloadLink.remove());
         }
     }
 }
@@ -437,12 +2767,10 @@ class PerformanceOptimizer {
 // Accessibility Enhancements
 // ========================================
 
-class AccessibilityEnhancer {
-    constructor() {
-        this.init();
-    }
+class AccessibilityEnhancer extends Component {
+    mount() {
+        super.mount();
 
-    init() {
         // Add skip to main content link
         this.addSkipLink();
 
@@ -461,47 +2789,33 @@ class AccessibilityEnhancer {
         skipLink.href = '#presentation';
         skipLink.className = 'skip-link';
         skipLink.textContent = 'Aller au contenu principal';
-        skipLink.style.cssText = `
-            position: absolute;
-            top: -40px;
-            left: 0;
-            background: var(--primary-color);
-            color: white;
-            padding: 8px;
-            text-decoration: none;
-            z-index: 10000;
-        `;
-
-        skipLink.addEventListener('focus', () => {
-            skipLink.style.top = '0';
-        });
-
-        skipLink.addEventListener('blur', () => {
-            skipLink.style.top = '-40px';
-        });
+        skipLink.setAttribute('data-i18n', 'a11y.skip-link');
 
+        // Hidden above the viewport until focused, see .skip-link:focus
         document.body.insertBefore(skipLink, document.body.firstChild);
+        this.onDestroy(() => skipLink.remove());
     }
 
     enhanceKeyboardNav() {
         // Add focus visible styles
-        document.addEventListener('keydown', (e) => {
+        this.listen(document, 'keydown', (e) => {
             if (e.key === 'Tab') {
                 document.body.classList.add('keyboard-nav');
             }
         });
 
-        document.addEventListener('mousedown', () => {
+        this.listen(document, 'mousedown', () => {
             document.body.classList.remove('keyboard-nav');
         });
     }
 
     addAriaLabels() {
-        // Ensure all interactive elements have proper ARIA labels
-        const buttons = document.querySelectorAll('button:not([aria-label])');
+        // Ensure all interactive elements have proper ARIA labels. Buttons with
+        // text are already named by it: a copy would not follow a language change
+        const buttons = document.querySelectorAll('button:not([aria-label]):not([data-i18n])');
         buttons.forEach(button => {
-            if (!button.getAttribute('aria-label')) {
-                button.setAttribute('aria-label', button.textContent || 'Button');
+            if (!button.textContent.trim()) {
+                button.setAttribute('aria-label', 'Button');
             }
         });
     }
@@ -512,29 +2826,49 @@ class AccessibilityEnhancer {
 // ========================================
 
 class SecurityManager {
-    constructor() {
+    constructor({ reportUri } = {}) {
+        // A <meta http-equiv> CSP cannot declare report-uri, so reports are sent from here
+        const meta = document.querySelector('meta[name="csp-report-uri"]');
+        this.reportUri = reportUri || (meta && meta.content) || null;
+        this.violations = [];
+        this.listeners = [];
         this.init();
     }
 
     init() {
-        // Prevent XSS attacks
-        this.preventXSS();
+        // User input is kept as typed: XSS is prevented where it is rendered
+        // (textContent, escapeHTML, sanitizeHTML), not by rewriting form fields
 
         // Validate external links
         this.secureExternalLinks();
+
+        // Surface anything the Content Security Policy blocks
+        document.addEventListener('securitypolicyviolation', (e) => this.reportViolation(e));
     }
 
-    preventXSS() {
-        // Sanitize all user inputs (if any forms exist)
-        const inputs = document.querySelectorAll('input, textarea');
-        inputs.forEach(input => {
-            input.addEventListener('input', (e) => {
-                const sanitized = sanitizeHTML(e.target.value);
-                if (sanitized !== e.target.value) {
-                    e.target.value = sanitized;
-                }
-            });
-        });
+    /** Register a callback receiving every CSP violation report */
+    addViolationListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    reportViolation(event) {
+        const report = {
+            blockedURI: event.blockedURI,
+            violatedDirective: event.violatedDirective,
+            effectiveDirective: event.effectiveDirective,
+            sourceFile: event.sourceFile,
+            lineNumber: event.lineNumber,
+            disposition: event.disposition
+        };
+
+        this.violations.push(report);
+        console.warn('CSP violation:', report.effectiveDirective || report.violatedDirective, report.blockedURI);
+        this.listeners.forEach(listener => listener(report));
+
+        if (this.reportUri && navigator.sendBeacon) {
+            const body = new Blob([JSON.stringify({ 'csp-report': report })], { type: 'application/csp-report' });
+            navigator.sendBeacon(this.reportUri, body);
+        }
     }
 
     secureExternalLinks() {
@@ -554,321 +2888,803 @@ class SecurityManager {
 // ========================================
 
 class LanguageManager {
-    constructor() {
+    constructor({ events = EventBus.shared() } = {}) {
+        this.events = events;
         this.langToggle = document.getElementById('lang-toggle');
-        this.currentLang = 'fr'; // French by default
-
-        this.translations = {
-            fr: {
-                // Navigation
-                'nav.home': 'Accueil',
-                'nav.about': 'Présentation',
-                'nav.cv': 'CV',
-                'nav.projects': 'Réalisations',
-                'nav.contact': 'Contact',
-
-                // Hero
-                'hero.greeting': 'Bonjour, je suis',
-                'hero.subtitle': 'Étudiant en 2ème année de BUT Informatique',
-                'hero.description': 'Passionné par le développement logiciel, les bases de données et les systèmes.',
-                'hero.description2': 'Réserviste au 4ᵉ régiment de chasseurs alpins',
-                'hero.years': 'Années d\'études',
-                'hero.projects': 'Projets réalisés',
-                'hero.languages': 'Langages maîtrisés',
-                'hero.projects-btn': 'Mes projets',
-                'hero.contact-btn': 'Me contacter',
-                'hero.scroll': 'Découvrir mon parcours',
-
-                // Sections
-                'section.about': 'À propos de moi',
-                'section.cv': 'Curriculum Vitae',
-                'section.projects': 'Mes réalisations',
-                'section.contact': 'Me contacter',
-                'section.projects-subtitle': 'Découvrez mes projets académiques et personnels',
-                'section.contact-subtitle': 'N\'hésitez pas à me contacter pour toute opportunité de stage ou collaboration',
-
-                // Contact
-                'contact.email': 'Email',
-                'contact.location': 'Localisation',
-                'contact.availability': 'Disponibilité',
-                'contact.stage': 'Stage : 20 avril - 29 juin 2026 (10-12 semaines)',
-
-                // CV
-                'cv.download': 'Télécharger le CV',
-                'cv.skills': 'Compétences techniques',
-                'cv.formation': 'Formation',
-                'cv.experience': 'Parcours professionnel & Militaire',
-                'cv.interests': 'Centres d\'intérêt'
-            },
-            en: {
-                // Navigation
-                'nav.home': 'Home',
-                'nav.about': 'About',
-                'nav.cv': 'Resume',
-                'nav.projects': 'Projects',
-                'nav.contact': 'Contact',
-
-                // Hero
-                'hero.greeting': 'Hello, I\'m',
-                'hero.subtitle': '2nd Year Computer Science Student',
-                'hero.description': 'Passionate about software development, databases and systems.',
-                'hero.description2': 'Reservist at the 4th Alpine Hunters Regiment',
-                'hero.years': 'Years of study',
-                'hero.projects': 'Completed projects',
-                'hero.languages': 'Programming languages',
-                'hero.projects-btn': 'My projects',
-                'hero.contact-btn': 'Contact me',
-                'hero.scroll': 'Discover my journey',
-
-                // Sections
-                'section.about': 'About Me',
-                'section.cv': 'Resume',
-                'section.projects': 'My Projects',
-                'section.contact': 'Contact Me',
-                'section.projects-subtitle': 'Discover my academic and personal projects',
-                'section.contact-subtitle': 'Feel free to contact me for any internship or collaboration opportunity',
-
-                // Contact
-                'contact.email': 'Email',
-                'contact.location': 'Location',
-                'contact.availability': 'Availability',
-                'contact.stage': 'Internship: April 20 - June 29, 2026 (10-12 weeks)',
-
-                // CV
-                'cv.download': 'Download Resume',
-                'cv.skills': 'Technical Skills',
-                'cv.formation': 'Education',
-                'cv.experience': 'Professional & Military Background',
-                'cv.interests': 'Interests'
+        this.basePath = 'assets/i18n/';
+        this.defaultLang = 'fr'; // French by default, also the language of the HTML source
+        this.currentLang = this.defaultLang;
+        this.applied = false; // Whether a catalog has been applied to the page yet
+
+        // Locale metadata from locales.json, catalogs are fetched on demand
+        this.locales = { fr: { label: 'FR', locale: 'fr-FR', dir: 'ltr' } };
+        this.catalogs = {};
+        this.pending = {};
+
+        this.ready = this.init();
+    }
+
+    async init() {
+        if (this.langToggle) {
+            this.langToggle.addEventListener('click', () => {
+                this.toggleLanguage();
+            });
+        }
+
+        try {
+            const manifest = await this.fetchJSON('locales.json');
+            this.locales = manifest.locales;
+            this.defaultLang = manifest.default || this.defaultLang;
+        } catch (e) {
+            console.warn('Language catalogs unavailable:', e.message);
+            return;
+        }
+
+        // Saved choice first, then the browser languages, then the default
+        await this.setLanguage(this.detectLanguage(), false);
+    }
+
+    async fetchJSON(file) {
+        const response = await fetch(this.basePath + file);
+        if (!response.ok) {
+            throw new Error(`${file}: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Fetch a catalog once, concurrent callers share the same request
+     */
+    loadCatalog(lang) {
+        if (this.catalogs[lang]) {
+            return Promise.resolve(this.catalogs[lang]);
+        }
+
+        if (!this.pending[lang]) {
+            this.pending[lang] = this.fetchJSON(`${lang}.json`)
+                .then(catalog => {
+                    this.catalogs[lang] = catalog;
+                    return catalog;
+                })
+                .finally(() => {
+                    delete this.pending[lang];
+                });
+        }
+
+        return this.pending[lang];
+    }
+
+    /**
+     * Resolve the initial language from localStorage or navigator.languages
+     */
+    detectLanguage() {
+        const saved = this.getSavedLanguage();
+        if (this.isSupported(saved)) {
+            return saved;
+        }
+
+        const preferred = navigator.languages || [navigator.language];
+        for (const locale of preferred) {
+            const lang = (locale || '').toLowerCase().split('-')[0];
+            if (this.isSupported(lang)) {
+                return lang;
+            }
+        }
+
+        return this.defaultLang;
+    }
+
+    getSavedLanguage() {
+        try {
+            return localStorage.getItem('language');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * BCP 47 tag used for <html lang> and the Intl formatters
+     */
+    getLocaleTag(lang = this.currentLang) {
+        return this.locales[lang]?.locale || lang;
+    }
+
+    getDirection(lang = this.currentLang) {
+        return this.locales[lang]?.dir === 'rtl' ? 'rtl' : 'ltr';
+    }
+
+    isSupported(lang) {
+        return Boolean(lang) && Object.prototype.hasOwnProperty.call(this.locales, lang);
+    }
+
+    /**
+     * Languages to search for a key: the locale, its declared fallbacks, then the default
+     */
+    getFallbackChain(lang) {
+        const chain = [];
+        let current = lang;
+
+        while (current && !chain.includes(current)) {
+            chain.push(current);
+            current = this.locales[current]?.fallback;
+        }
+
+        if (!chain.includes(this.defaultLang)) {
+            chain.push(this.defaultLang);
+        }
+
+        return chain;
+    }
+
+    getNextLanguage() {
+        const languages = Object.keys(this.locales);
+        return languages[(languages.indexOf(this.currentLang) + 1) % languages.length];
+    }
+
+    async toggleLanguage() {
+        await this.setLanguage(this.getNextLanguage());
+    }
+
+    async setLanguage(lang, save = true) {
+        if (!this.isSupported(lang)) return;
+
+        const chain = this.getFallbackChain(lang);
+        try {
+            await Promise.all(chain.map(code => this.loadCatalog(code)));
+        } catch (e) {
+            console.warn(`Unable to load language "${lang}":`, e.message);
+            return;
+        }
+
+        const previous = this.applied ? this.currentLang : null;
+        this.currentLang = lang;
+        this.applied = true;
+
+        // Layout helpers read the direction from <html dir> through isRTL()
+        document.documentElement.lang = this.getLocaleTag(lang);
+        document.documentElement.dir = this.getDirection(lang);
+
+        if (save) {
+            try {
+                localStorage.setItem('language', lang);
+            } catch (e) {
+                // Storage unavailable (private mode): keep the choice for this page only
+            }
+        }
+
+        // Update button text with the language the next click switches to
+        const langText = this.langToggle?.querySelector('.lang-text');
+        if (langText) {
+            const next = this.getNextLanguage();
+            langText.textContent = this.locales[next].label || next.toUpperCase();
+        }
+
+        this.translatePage();
+
+        // For what translatePage() cannot reach: queued toasts, generated text, localized links
+        this.events.emit('language:changed', {
+            lang,
+            previous,
+            locale: this.getLocaleTag(lang),
+            dir: this.getDirection(lang)
+        });
+    }
+
+    /**
+     * Apply the current language to every annotated element of the document
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const translation = this.lookup(element.getAttribute('data-i18n'), this.getParams(element));
+            if (translation !== undefined) {
+                element.textContent = translation;
+            }
+        });
+
+        // Entries with inline markup (<strong>): parameters are escaped, the result goes through the allow-list
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            const params = {};
+            Object.entries(this.getParams(element)).forEach(([name, value]) => {
+                params[name] = typeof value === 'string' ? escapeHTML(value) : value;
+            });
+
+            const translation = this.lookup(element.getAttribute('data-i18n-html'), params);
+            if (translation !== undefined) {
+                element.innerHTML = sanitizeHTML(translation);
+            }
+        });
+
+        // data-i18n-attr="alt:projects.game.alt, title:other.key"
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.getAttribute('data-i18n-attr').split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (!attribute || !key) return;
+
+                const translation = this.lookup(key, this.getParams(element));
+                if (translation !== undefined) {
+                    element.setAttribute(attribute, translation);
+                }
+            });
+        });
+    }
+
+    getParams(element) {
+        const raw = element.getAttribute('data-i18n-params');
+        if (!raw) return {};
+
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            console.warn('Invalid data-i18n-params:', raw);
+            return {};
+        }
+    }
+
+    /**
+     * Translate a key, returning the key itself when no catalog defines it
+     * @param {string} key - Catalog key
+     * @param {Object} params - Values for {placeholders}, `count` selects the plural form
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        const translation = this.lookup(key, params);
+        return translation === undefined ? key : translation;
+    }
+
+    lookup(key, params = {}) {
+        for (const lang of this.getFallbackChain(this.currentLang)) {
+            const catalog = this.catalogs[lang];
+            if (catalog && Object.prototype.hasOwnProperty.call(catalog, key)) {
+                return this.format(catalog[key], params, lang);
             }
+        }
+        return undefined;
+    }
+
+    /**
+     * Format a number for the current locale (digits, separators)
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.getLocaleTag(), options).format(value);
+    }
+
+    /**
+     * Format a date for the current locale, ISO dates are read as calendar days
+     */
+    formatDate(value, options = { dateStyle: 'long', timeZone: 'UTC' }) {
+        return new Intl.DateTimeFormat(this.getLocaleTag(), options).format(new Date(value));
+    }
+
+    format(entry, params, lang) {
+        let message = entry;
+
+        // Plural entries are objects keyed by Intl.PluralRules categories
+        if (message && typeof message === 'object') {
+            const category = typeof params.count === 'number'
+                ? new Intl.PluralRules(this.getLocaleTag(lang)).select(params.count)
+                : 'other';
+            message = message[category] ?? message.other;
+        }
+
+        // {name} inserts a value as is, {name, number} and {name, date} go through Intl
+        return String(message).replace(/\{(\w+)(?:,\s*(number|date))?\}/g, (match, name, type) => {
+            if (!Object.prototype.hasOwnProperty.call(params, name)) return match;
+
+            const value = params[name];
+            if (type === 'date') return this.formatDate(value);
+            if (type === 'number' || typeof value === 'number') return this.formatNumber(Number(value));
+            return String(value);
+        });
+    }
+}
+
+// ========================================
+// Theme Manager
+// ========================================
+
+/**
+ * Light, dark or auto (follows prefers-color-scheme). theme-init.js applies
+ * the same choice from <head> so the first paint already has the right colours
+ */
+class ThemeManager {
+    constructor({ i18n = null, events = EventBus.shared() } = {}) {
+        this.i18n = i18n;
+        this.events = events;
+        this.themeToggle = document.getElementById('theme-toggle');
+        this.themeColor = document.querySelector('meta[name="theme-color"]');
+        this.systemLight = window.matchMedia
+            ? window.matchMedia('(prefers-color-scheme: light)')
+            : { matches: false };
+        this.preference = this.getSavedPreference() || 'auto';
+        this.theme = null;
+
+        // French defaults, overridden by the i18n catalog when loaded
+        this.messages = {
+            'theme.auto': 'Thème : automatique',
+            'theme.light': 'Thème : clair',
+            'theme.dark': 'Thème : sombre'
         };
 
-        this.init();
+        this.init();
+    }
+
+    init() {
+        if (this.themeToggle) {
+            this.themeToggle.addEventListener('click', () => {
+                this.setPreference(this.getNextPreference());
+            });
+        }
+
+        // Auto follows the system live, e.g. when it switches to dark at sunset
+        if (this.systemLight.addEventListener) {
+            this.systemLight.addEventListener('change', () => {
+                if (this.preference === 'auto') this.apply('system');
+            });
+        }
+
+        this.apply();
+    }
+
+    getSavedPreference() {
+        try {
+            const preference = localStorage.getItem('theme');
+            return ThemeManager.PREFERENCES.includes(preference) ? preference : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    getNextPreference() {
+        const index = ThemeManager.PREFERENCES.indexOf(this.preference);
+        return ThemeManager.PREFERENCES[(index + 1) % ThemeManager.PREFERENCES.length];
+    }
+
+    /**
+     * @param {string} preference - 'auto', 'light' or 'dark'
+     */
+    setPreference(preference) {
+        if (!ThemeManager.PREFERENCES.includes(preference)) return;
+
+        this.preference = preference;
+        try {
+            localStorage.setItem('theme', preference);
+        } catch (e) {
+            // Storage unavailable (private mode): the choice lasts for this page only
+        }
+
+        this.apply('user');
+    }
+
+    /**
+     * @returns {string} 'light' or 'dark', auto resolved against the system setting
+     */
+    getTheme() {
+        if (this.preference !== 'auto') return this.preference;
+        return this.systemLight.matches ? 'light' : 'dark';
+    }
+
+    /**
+     * @param {string} source - What changed: 'user' (the button) or 'system'; none on load
+     */
+    apply(source = null) {
+        const theme = this.getTheme();
+        const root = document.documentElement;
+        root.setAttribute('data-theme', theme);
+        root.setAttribute('data-theme-preference', this.preference);
+
+        if (this.themeColor) {
+            this.themeColor.setAttribute('content', getThemeValue('--bg-primary', this.themeColor.getAttribute('content')));
+        }
+        this.updateButton();
+
+        // The page already loads with these colours: only changes are announced
+        const changed = theme !== this.theme;
+        this.theme = theme;
+        if (source && (changed || source === 'user')) {
+            this.events.emit('theme:changed', { theme, preference: this.preference, source });
+        }
+    }
+
+    updateButton() {
+        if (!this.themeToggle) return;
+
+        // The label names the current choice; translatePage() keeps it in the active language
+        const key = `theme.${this.preference}`;
+        this.themeToggle.setAttribute('data-i18n-attr', `aria-label:${key}, title:${key}`);
+        this.themeToggle.setAttribute('aria-label', this.message(key));
+        this.themeToggle.setAttribute('title', this.message(key));
+    }
+
+    message(key, params = {}) {
+        const translation = this.i18n ? this.i18n.t(key, params) : key;
+        if (translation !== key) return translation;
+
+        return this.messages[key] || key;
+    }
+}
+
+/**
+ * Order in which the toggle button cycles through the choices
+ */
+ThemeManager.PREFERENCES = ['auto', 'light', 'dark'];
+
+// ========================================
+// Snow Manager
+// ========================================
+
+/**
+ * The snow button and preference. It only announces snow:toggled, which
+ * SnowEffect listens to
+ */
+class SnowManager extends Component {
+    /**
+     * @param {Object} options - events (EventBus), seasonal (auto-enable during seasonMonths when no choice is saved)
+     */
+    constructor({ events = EventBus.shared(), seasonal = true, seasonMonths = SnowManager.SEASON_MONTHS } = {}) {
+        super();
+        this.events = events;
+        this.seasonal = seasonal;
+        this.seasonMonths = seasonMonths;
+        this.snowToggle = document.getElementById('snow-toggle');
+        this.enabled = false;
+        this.reducedMotion = window.matchMedia
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : { matches: false };
+    }
+
+    mount() {
+        super.mount();
+        if (this.snowToggle) {
+            this.updateButton(this.enabled);
+            this.listen(this.snowToggle, 'click', () => {
+                this.toggleSnow();
+            });
+        }
+
+        // Seasonal snow stops if reduced motion gets turned on; an explicit choice is left alone
+        if (this.reducedMotion.addEventListener) {
+            this.listen(this.reducedMotion, 'change', () => this.applyPreference());
+        }
+
+        this.applyPreference();
     }
 
-    init() {
-        // Apply saved language
-        this.setLanguage(this.currentLang, false);
+    /**
+     * @returns {boolean|null} The visitor's saved choice, null if they never toggled
+     */
+    getPreference() {
+        try {
+            const preference = localStorage.getItem('snow-preference');
+            return preference === null ? null : preference === 'on';
+        } catch (e) {
+            return null;
+        }
+    }
 
-        if (this.langToggle) {
-            this.langToggle.addEventListener('click', () => {
-                this.toggleLanguage();
-            });
+    savePreference(enabled) {
+        try {
+            localStorage.setItem('snow-preference', enabled ? 'on' : 'off');
+        } catch (e) {
+            // Storage unavailable (private mode): the choice lasts for this page only
         }
     }
 
-    toggleLanguage() {
-        const newLang = this.currentLang === 'fr' ? 'en' : 'fr';
-        this.setLanguage(newLang);
+    isInSeason(date = new Date()) {
+        return this.seasonMonths.includes(date.getMonth());
     }
 
-    setLanguage(lang, save = true) {
-        this.currentLang = lang;
+    /**
+     * Whether snow should fall on load: the saved choice wins, otherwise
+     * the season decides unless the visitor prefers reduced motion
+     */
+    shouldSnow() {
+        const preference = this.getPreference();
+        if (preference !== null) return preference;
+        return this.seasonal && this.isInSeason() && !this.reducedMotion.matches;
+    }
 
-        if (save) {
-            localStorage.setItem('language', lang);
+    applyPreference() {
+        const enabled = this.shouldSnow();
+        if (enabled !== this.enabled) {
+            this.setEnabled(enabled, 'auto');
         }
+    }
 
-        // Update button text
-        const langText = this.langToggle?.querySelector('.lang-text');
-        if (langText) {
-            langText.textContent = lang === 'fr' ? 'EN' : 'FR';
-        }
+    toggleSnow() {
+        this.savePreference(!this.enabled);
+        this.setEnabled(!this.enabled, 'user');
+    }
 
-        // Update all translatable elements
-        document.querySelectorAll('[data-i18n]').forEach(element => {
-            const key = element.getAttribute('data-i18n');
-            const translation = this.translations[lang][key];
-            if (translation) {
-                element.textContent = translation;
-            }
-        });
+    setEnabled(enabled, source) {
+        this.enabled = enabled;
+        this.updateButton(enabled);
+        this.events.emit('snow:toggled', { enabled, source });
+    }
+
+    updateButton(isSnowing) {
+        if (!this.snowToggle) return;
+        this.snowToggle.classList.toggle('active', isSnowing);
+        this.snowToggle.setAttribute('aria-pressed', String(isSnowing));
     }
 }
 
+/**
+ * Months (0 = January) when snow starts by itself: December to February
+ */
+SnowManager.SEASON_MONTHS = [11, 0, 1];
+
 // ========================================
-// Snow Manager (Replaces Theme Manager)
+// Interactive Background (Canvas)
 // ========================================
 
-class SnowManager {
-    constructor() {
-        this.snowToggle = document.getElementById('snow-toggle');
-        this.snowEffect = null; // Will be linked to SnowEffect instance
-        this.init();
+/**
+ * Same interface as WaveRenderer (wave-renderer.js), drawing in wave-worker.js
+ * on a canvas transferred with transferControlToOffscreen()
+ */
+class WaveWorkerClient {
+    constructor(worker, canvas, preference) {
+        this.worker = worker;
+
+        const offscreen = canvas.transferControlToOffscreen();
+        this.worker.postMessage({ type: 'init', canvas: offscreen, renderer: preference }, [offscreen]);
     }
 
-    init() {
-        if (this.snowToggle) {
-            this.snowToggle.addEventListener('click', () => {
-                this.toggleSnow();
-            });
-        }
+    resize(width, height, ratio) {
+        this.worker.postMessage({ type: 'resize', width, height, ratio });
     }
 
-    setSnowEffect(snowEffectInstance) {
-        this.snowEffect = snowEffectInstance;
+    setPointer(x, y) {
+        this.worker.postMessage({ type: 'pointer', x, y });
     }
 
-    toggleSnow() {
-        if (this.snowEffect) {
-            const isSnowing = this.snowEffect.toggle();
-            if (isSnowing) {
-                this.snowToggle.classList.add('active');
-                this.snowToggle.style.color = '#38bdf8'; // Active color
-            } else {
-                this.snowToggle.classList.remove('active');
-                this.snowToggle.style.color = ''; // Reset color
-            }
-        }
+    setScene(name, options, immediate) {
+        this.worker.postMessage({ type: 'scene', name, options, immediate });
     }
-}
 
-// ========================================
-// Interactive Background (Canvas)
-// ========================================
+    start() {
+        this.worker.postMessage({ type: 'start' });
+    }
 
-class WavePoint {
-    constructor(x, y, z) {
-        this.x = x;
-        this.y = y;
-        this.z = z;
-        this.baseY = y;
-        this.baseZ = z;
-        this.screenX = 0;
-        this.screenY = 0;
-        this.scale = 0;
-        this.size = 0;
+    stop() {
+        this.worker.postMessage({ type: 'stop' });
+    }
+
+    setPalette(saturation, lightness) {
+        this.worker.postMessage({ type: 'palette', saturation, lightness });
+    }
+
+    render() {
+        this.worker.postMessage({ type: 'render' });
     }
 
-    project(width, height, fov, viewDistance) {
-        // Perspective projection
-        const scale = fov / (viewDistance + this.z);
-        this.scale = scale;
-        this.screenX = width / 2 + (this.x * scale);
-        this.screenY = height / 2 + (this.y * scale);
-        this.size = scale * 3; // Base size multiplier
+    terminate() {
+        this.worker.terminate();
     }
 }
 
-class InteractiveBackground {
-    constructor() {
+/**
+ * Drives the wave grid: sizing, pointer tilt and when to animate. The drawing
+ * itself happens in a worker when possible, on the main thread otherwise
+ */
+class InteractiveBackground extends Component {
+    constructor({
+        workerScript = 'assets/js/wave-worker.js',
+        scroll = ScrollScheduler.shared(),
+        events = EventBus.shared()
+    } = {}) {
+        super();
         this.canvas = document.getElementById('stars-canvas');
         if (!this.canvas) return;
 
-        this.ctx = this.canvas.getContext('2d');
-        this.points = [];
+        this.workerScript = workerScript;
+        this.scroll = scroll;
+        this.events = events;
+        this.renderer = null;
+
+        // data-renderer="2d" or "webgl" forces a backend, otherwise the best one is detected
+        this.preference = this.canvas.dataset.renderer;
+
+        // data-scene picks a preset of WaveRenderer.SCENES, data-scene-options (JSON) tunes it
+        this.scene = this.canvas.dataset.scene || 'waves';
+        this.sceneOptions = this.getSceneOptions();
         this.width = 0;
         this.height = 0;
-        this.mouse = { x: 0, y: 0 };
-        this.targetRotationX = 0;
-        this.targetRotationY = 0;
-        this.rotationX = 0;
-        this.rotationY = 0;
 
-        // 3D Grid Configuration
-        this.fov = 300;
-        this.viewDistance = 400;
-        this.gridSizeX = 50; // Number of points X
-        this.gridSizeZ = 50; // Number of points Z
-        this.spacing = 40;   // Space between points
+        // Loop state: runs only while visible, on screen and motion is allowed
+        this.onScreen = true;
+        this.observer = null;
+        this.sceneObserver = null;
+        this.reducedMotion = window.matchMedia
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : { matches: false };
+    }
 
-        this.time = 0;
+    getSceneOptions() {
+        try {
+            return JSON.parse(this.canvas.dataset.sceneOptions || '{}');
+        } catch (e) {
+            console.warn('Invalid data-scene-options:', e.message);
+            return {};
+        }
+    }
 
-        this.init();
+    /**
+     * Take the point colours from the theme (--canvas-saturation, --canvas-lightness)
+     */
+    updatePalette() {
+        if (!this.renderer) return;
+
+        const saturation = parseFloat(getThemeValue('--canvas-saturation', '80%')) / 100;
+        const lightness = parseFloat(getThemeValue('--canvas-lightness', '60%')) / 100;
+        this.renderer.setPalette(saturation, lightness);
     }
 
-    init() {
+    /**
+     * Switch preset at runtime, with a morphing transition
+     */
+    setScene(name, options = {}) {
+        this.scene = name;
+        this.sceneOptions = options;
+        if (this.renderer) this.renderer.setScene(name, options);
+    }
+
+    mount() {
+        super.mount();
+        if (!this.canvas || typeof WaveRenderer === 'undefined') return;
+
+        this.renderer = this.createRenderer();
+        // Neither WebGL nor Canvas2D: the page goes without a background
+        if (!this.renderer) return;
+        this.renderer.setScene(this.scene, this.sceneOptions, true);
+        this.updatePalette();
         this.resize();
-        window.addEventListener('resize', () => this.resize());
-        window.addEventListener('mousemove', (e) => {
+
+        this.onDestroy(this.scroll.subscribe({
+            write: ({ resized }) => {
+                if (resized) this.resize();
+            }
+        }));
+        this.listen(window, 'mousemove', (e) => {
             // Normalize mouse position -1 to 1
-            this.mouse.x = (e.clientX / this.width) * 2 - 1;
-            this.mouse.y = (e.clientY / this.height) * 2 - 1;
+            this.renderer.setPointer((e.clientX / this.width) * 2 - 1, (e.clientY / this.height) * 2 - 1);
+        });
 
-            // Tilt effect target
-            this.targetRotationY = this.mouse.x * 0.3; // Rotate around Y axis
-            this.targetRotationX = this.mouse.y * 0.2; // Rotate around X axis
+        this.listen(document, 'visibilitychange', () => this.updateLoop());
+        this.onDestroy(this.events.on('theme:changed', () => this.updatePalette()));
+
+        if ('IntersectionObserver' in window) {
+            // Also reports a canvas hidden with display: none as off-screen
+            this.observer = new IntersectionObserver((entries) => {
+                this.onScreen = entries[entries.length - 1].isIntersecting;
+                this.updateLoop();
+            });
+            this.observer.observe(this.canvas);
+        }
+
+        if (this.reducedMotion.addEventListener) {
+            this.listen(this.reducedMotion, 'change', () => this.updateLoop());
+        }
+
+        // Changing data-scene or data-scene-options on the canvas morphs to the new scene
+        this.sceneObserver = new MutationObserver(() => {
+            this.setScene(this.canvas.dataset.scene || 'waves', this.getSceneOptions());
         });
+        this.observeScene();
 
-        this.createGrid();
-        this.animate();
+        this.updateLoop();
     }
 
-    resize() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-        this.width = this.canvas.width;
-        this.height = this.canvas.height;
-    }
-
-    createGrid() {
-        this.points = [];
-        const startX = -(this.gridSizeX * this.spacing) / 2;
-        const startZ = 0; // Start slightly in front
-
-        for (let z = 0; z < this.gridSizeZ; z++) {
-            for (let x = 0; x < this.gridSizeX; x++) {
-                const px = startX + x * this.spacing;
-                const py = 100; // Floor level
-                const pz = startZ + z * this.spacing;
-                this.points.push(new WavePoint(px, py, pz));
-            }
-        }
+    observeScene() {
+        this.sceneObserver.disconnect();
+        this.sceneObserver.observe(this.canvas, { attributes: true, attributeFilter: ['data-scene', 'data-scene-options'] });
     }
 
-    animate() {
-        this.ctx.clearRect(0, 0, this.width, this.height);
+    destroy() {
+        super.destroy();
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.sceneObserver) {
+            this.sceneObserver.disconnect();
+            this.sceneObserver = null;
+        }
+        if (!this.renderer) return;
 
-        // Smooth rotation
-        this.rotationX += (this.targetRotationX - this.rotationX) * 0.05;
-        this.rotationY += (this.targetRotationY - this.rotationY) * 0.05;
+        this.renderer.stop();
+        if (this.renderer instanceof WaveWorkerClient) {
+            this.renderer.terminate();
+        }
+        this.renderer = null;
 
-        this.time += 0.1;
+        // The canvas keeps its context, or stays transferred: a later mount() starts from a clean copy
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+    }
 
-        // Update and Draw Points
-        for (let i = 0; i < this.points.length; i++) {
-            const p = this.points[i];
+    createRenderer() {
+        if ('transferControlToOffscreen' in this.canvas && typeof Worker !== 'undefined') {
+            try {
+                const worker = new Worker(this.workerScript);
+                worker.addEventListener('error', () => this.fallBackToMainThread());
+                worker.addEventListener('message', (e) => {
+                    if (e.data.type === 'fallback') this.fallBackToMainThread('2d');
+                });
+                return new WaveWorkerClient(worker, this.canvas, this.preference);
+            } catch (e) {
+                // Workers cannot start from file:// pages, among others
+            }
+        }
 
-            // Wave Math
-            // Calculate distance from center for radial wave or simple linear wave
-            const distance = Math.sqrt(p.x * p.x + p.z * p.z);
+        return WaveRenderer.create(this.canvas, this.preference) || this.replaceCanvas('2d');
+    }
 
-            // Complex wave function: Combination of sine waves
-            const waveY = Math.sin(distance * 0.02 - this.time) * 30
-                + Math.sin(p.x * 0.03 + this.time) * 20;
+    /**
+     * A canvas keeps the first context type it gave out: draw on a fresh copy.
+     * Falls back to '2d' once, then gives up with null
+     */
+    replaceCanvas(preference) {
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer.observe(canvas);
+        }
+        if (this.sceneObserver) this.observeScene();
 
-            // Apply rotation (Basic 3D rotation matrix simplified)
-            // Rotate around Y
-            let rx = p.x * Math.cos(this.rotationY) - p.z * Math.sin(this.rotationY);
-            let rz = p.x * Math.sin(this.rotationY) + p.z * Math.cos(this.rotationY);
+        return WaveRenderer.create(canvas, preference) || (preference === '2d' ? null : this.replaceCanvas('2d'));
+    }
 
-            // Rotate around X
-            let ry = (p.baseY + waveY) * Math.cos(this.rotationX) - rz * Math.sin(this.rotationX);
-            rz = (p.baseY + waveY) * Math.sin(this.rotationX) + rz * Math.cos(this.rotationX);
+    /**
+     * The worker failed to load, crashed or could not start WebGL. A transferred
+     * canvas can no longer be drawn from the page, so a fresh copy takes its place
+     */
+    fallBackToMainThread(preference = this.preference) {
+        if (!(this.renderer instanceof WaveWorkerClient)) return;
+
+        this.renderer.terminate();
+        this.renderer = this.replaceCanvas(preference);
+        if (!this.renderer) {
+            this.destroy();
+            return;
+        }
+        this.renderer.setScene(this.scene, this.sceneOptions, true);
+        this.updatePalette();
+        this.resize();
+        this.updateLoop();
+    }
 
-            // Update point position for projection
-            // We use a temporary object or modify properties directly if careful
-            // Here we just project the calculated rotated coordinates
+    resize() {
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
 
-            // Project
-            const scale = this.fov / (this.viewDistance + rz);
-            const screenX = this.width / 2 + (rx * scale);
-            const screenY = this.height / 2 + (ry * scale);
-            const size = scale * 3;
-            const alpha = scale; // Fade out in distance
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.height = `${this.height}px`;
+        this.renderer.resize(this.width, this.height, ratio);
+    }
 
-            if (scale > 0) {
-                this.ctx.beginPath();
-                this.ctx.arc(screenX, screenY, size, 0, Math.PI * 2);
+    shouldAnimate() {
+        return !document.hidden && this.onScreen && !this.reducedMotion.matches;
+    }
 
-                // Color based on height/wave
-                const hue = 200 + (waveY * 2); // Blue/Cyan range
-                this.ctx.fillStyle = `hsla(${hue}, 80%, 60%, ${alpha})`;
-                this.ctx.fill();
-            }
+    /**
+     * Start or stop the loop to match visibility and motion preferences
+     */
+    updateLoop() {
+        if (this.shouldAnimate()) {
+            this.renderer.start();
+            return;
         }
 
-        requestAnimationFrame(() => this.animate());
+        this.renderer.stop();
+
+        // Reduced motion still gets the landscape, frozen
+        if (this.reducedMotion.matches) {
+            this.renderer.render();
+        }
     }
 }
 
@@ -876,27 +3692,30 @@ class InteractiveBackground {
 // Scroll Progress Indicator
 // ========================================
 
-class ScrollProgress {
-    constructor() {
+class ScrollProgress extends Component {
+    constructor({ scroll = ScrollScheduler.shared() } = {}) {
+        super();
         this.progressBar = document.getElementById('scroll-progress');
-        if (!this.progressBar) return;
-
-        this.init();
+        this.scroll = scroll;
+        this.scrollPercent = 0;
     }
 
-    init() {
-        window.addEventListener('scroll', () => {
-            requestAnimationFrame(() => this.updateProgress());
-        });
+    mount() {
+        super.mount();
+        if (!this.progressBar) return;
+
+        this.onDestroy(this.scroll.subscribe({
+            read: ({ scrollY, viewportHeight }) => {
+                const docHeight = document.documentElement.scrollHeight - viewportHeight;
+                this.scrollPercent = docHeight > 0 ? (scrollY / docHeight) * 100 : 0;
+            },
+            write: () => this.updateProgress()
+        }));
     }
 
     updateProgress() {
-        const scrollTop = window.scrollY;
-        const docHeight = document.documentElement.scrollHeight - window.innerHeight;
-        const scrollPercent = (scrollTop / docHeight) * 100;
-
         // Update bar width
-        this.progressBar.style.width = `${scrollPercent}%`;
+        this.progressBar.style.width = `${this.scrollPercent}%`;
     }
 }
 
@@ -904,12 +3723,128 @@ class ScrollProgress {
 // Animated Snow Particles
 // ========================================
 
-class SnowEffect {
-    constructor() {
-        this.container = document.getElementById('snow-container');
+/**
+ * One particle of SnowEffect; layer 0 is the furthest
+ */
+class Snowflake {
+    constructor(layer) {
+        this.layer = layer;
+        this.x = 0;
+        this.y = 0;
+        this.vx = 0;
+        this.size = 0;
+        this.speed = 0;
+        this.phase = 0;
+    }
+
+    /**
+     * Put the flake back above the viewport (or anywhere when scatter is set)
+     */
+    reset(width, height, scatter = false) {
+        const layer = SnowEffect.LAYERS[this.layer];
+        const between = ([min, max]) => min + Math.random() * (max - min);
+
+        this.x = Math.random() * width;
+        this.y = scatter ? Math.random() * height : -10 - Math.random() * 40;
+        this.vx = 0;
+        this.size = between(layer.size);
+        this.speed = between(layer.speed);
+        this.phase = Math.random() * Math.PI * 2;
+    }
+}
+
+/**
+ * Canvas particle snow: three depth layers, wind following the mouse, snow
+ * piling up on the navbar and card edges, and a fade out when stopped
+ */
+class SnowEffect extends Component {
+    /**
+     * @param {Object} options - surfaces ([{ selector, edge: 'top'|'bottom', chance, max }]), scroll (ScrollScheduler),
+     *   events (EventBus)
+     */
+    constructor({ surfaces = SnowEffect.SURFACES, scroll = ScrollScheduler.shared(), events = EventBus.shared() } = {}) {
+        super();
+        this.surfaceConfig = surfaces;
+        this.scroll = scroll;
+        this.events = events;
+        this.isSnowing = false;
+        this.canvas = null;
+        this.ctx = null;
+        this.flakes = [];
+        this.surfaces = [];
+        this.piles = new WeakMap(); // element -> snow height per 4px column
+        this.surfacesDirty = true;
+        this.frameId = null;
+        this.lastFrame = 0;
+        this.frameCount = 0;
+        this.opacity = 0;
+        this.width = 0;
+        this.height = 0;
+        this.colors = null; // Read from the theme when the canvas is created
+
+        // Wind: a base from the pointer position plus gusts from its speed
+        this.wind = 0;
+        this.baseWind = 0;
+        this.gust = 0;
+        this.lastPointerX = null;
+    }
+
+    mount() {
+        super.mount();
+
+        // Surfaces move with the page: re-read them on the next animation frame
+        this.onDestroy(this.scroll.subscribe({
+            write: ({ resized }) => {
+                this.surfacesDirty = true;
+                if (resized && this.canvas) this.resize();
+            }
+        }));
+
+        this.listen(window, 'mousemove', (e) => {
+            this.baseWind = (e.clientX / window.innerWidth - 0.5) * 1.6;
+            if (this.lastPointerX !== null) {
+                this.gust = Math.max(-3, Math.min(3, this.gust + (e.clientX - this.lastPointerX) * 0.02));
+            }
+            this.lastPointerX = e.clientX;
+        });
+
+        // No point in simulating snow nobody sees
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.pause();
+            } else if (this.isSnowing || this.opacity > 0) {
+                this.resume();
+            }
+        });
+
+        this.onDestroy(this.events.on('snow:toggled', ({ enabled }) => {
+            if (enabled) {
+                this.start();
+            } else {
+                this.stop();
+            }
+        }));
+        this.onDestroy(this.events.on('theme:changed', () => {
+            if (this.canvas) this.updateColors();
+        }));
+    }
+
+    /**
+     * Stop at once, without the fade, and remove the canvas
+     */
+    destroy() {
+        super.destroy();
+        this.pause();
         this.isSnowing = false;
-        this.snowflakes = [];
-        this.interval = null;
+        this.opacity = 0;
+        this.flakes = [];
+        this.piles = new WeakMap();
+
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+            this.ctx = null;
+        }
     }
 
     toggle() {
@@ -923,90 +3858,290 @@ class SnowEffect {
     }
 
     start() {
-        if (!this.container) return;
-        this.container.style.display = 'block';
+        this.isSnowing = true;
+
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.className = 'snow-canvas';
+            this.canvas.setAttribute('aria-hidden', 'true');
+            this.ctx = this.canvas.getContext('2d');
+            document.body.appendChild(this.canvas);
+            this.resize();
+            this.updateColors();
+        }
 
-        // Create snowflakes periodically
-        this.interval = setInterval(() => {
-            this.createSnowflake();
-        }, 100);
+        this.canvas.classList.add('is-active');
+        this.resume();
     }
 
+    /**
+     * Stop emitting; falling flakes and piles fade out before the canvas hides
+     */
     stop() {
-        if (this.interval) {
-            clearInterval(this.interval);
-            this.interval = null;
-        }
-        // Clear existing snowflakes
-        if (this.container) {
-            this.container.innerHTML = '';
-        }
-    }
-
-    createSnowflake() {
-        const snowflake = document.createElement('div');
-        snowflake.className = 'snowflake';
-        snowflake.textContent = '❄'; // Use text character for better visibility with new CSS
-
-        // Random properties
-        const size = Math.random() * 15 + 10; // 10-25px
-        const startX = Math.random() * 100;
-        const duration = Math.random() * 3 + 2; // 2-5s
-
-        snowflake.style.cssText = `
-            position: absolute;
-            top: -20px;
-            left: ${startX}%;
-            font-size: ${size}px;
-            color: white;
-            opacity: ${Math.random() * 0.5 + 0.5};
-            pointer-events: none;
-            animation: snowfall ${duration}s linear infinite;
-            z-index: 9999;
-        `;
-
-        this.container.appendChild(snowflake);
-
-        // Remove after animation
-        setTimeout(() => {
-            if (snowflake.parentNode) {
-                snowflake.remove();
+        this.isSnowing = false;
+    }
+
+    /**
+     * Flake and pile colours from the theme (--snow-color, --snow-pile-color as "r, g, b")
+     */
+    updateColors() {
+        this.colors = {
+            flake: getThemeValue('--snow-color', '255, 255, 255'),
+            pile: getThemeValue('--snow-pile-color', '241, 245, 249')
+        };
+    }
+
+    resume() {
+        if (this.frameId || !this.canvas) return;
+        this.lastFrame = performance.now();
+        this.frameId = requestAnimationFrame((now) => this.animate(now));
+    }
+
+    pause() {
+        if (!this.frameId) return;
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    resize() {
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
+
+        this.canvas.width = Math.round(this.width * ratio);
+        this.canvas.height = Math.round(this.height * ratio);
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.height = `${this.height}px`;
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.surfacesDirty = true;
+    }
+
+    animate(now) {
+        // Frame-rate independent steps, 1 = one 60 fps frame
+        const dt = Math.min(3, (now - this.lastFrame) / 16.67);
+        this.lastFrame = now;
+
+        // Fade in while snowing, out once stopped
+        this.opacity = Math.max(0, Math.min(1, this.opacity + (this.isSnowing ? 0.03 : -0.014) * dt));
+        if (!this.isSnowing && this.opacity === 0) {
+            this.finish();
+            return;
+        }
+
+        // Surfaces move with scrolling and layout: re-read them when needed, at most every 6 frames otherwise
+        if (this.surfacesDirty || ++this.frameCount % 6 === 0) {
+            this.updateSurfaces();
+        }
+
+        this.updateWind(dt);
+        this.updateFlakes(dt);
+        this.meltPiles(dt);
+        this.draw();
+
+        this.frameId = requestAnimationFrame((next) => this.animate(next));
+    }
+
+    finish() {
+        this.frameId = null;
+        this.flakes = [];
+        this.piles = new WeakMap();
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.canvas.classList.remove('is-active');
+    }
+
+    updateWind(dt) {
+        this.gust *= Math.pow(0.96, dt);
+        this.wind += (this.baseWind + this.gust - this.wind) * 0.03 * dt;
+    }
+
+    updateFlakes(dt) {
+        // About one flake per 8000 px², emitted progressively
+        const target = this.isSnowing ? Math.min(400, Math.round((this.width * this.height) / 8000)) : 0;
+        for (let i = 0; i < 3 && this.flakes.length < target; i++) {
+            const flake = new Snowflake(this.pickLayer());
+            flake.reset(this.width, this.height);
+            this.flakes.push(flake);
+        }
+
+        for (let i = this.flakes.length - 1; i >= 0; i--) {
+            const flake = this.flakes[i];
+            const layer = SnowEffect.LAYERS[flake.layer];
+            const previousY = flake.y;
+
+            flake.phase += 0.02 * dt;
+            flake.vx += (this.wind * layer.wind - flake.vx) * 0.05 * dt;
+            flake.x += (flake.vx + Math.sin(flake.phase) * 0.3) * dt;
+            flake.y += flake.speed * dt;
+
+            // Wrap sideways so wind does not empty one side of the screen
+            if (flake.x < -10) flake.x += this.width + 20;
+            if (flake.x > this.width + 10) flake.x -= this.width + 20;
+
+            const landed = layer.settles && this.land(flake, previousY);
+            if (landed || flake.y > this.height + 10) {
+                // Once stopped, flakes are not replaced
+                if (!this.isSnowing || this.flakes.length > target) {
+                    this.flakes.splice(i, 1);
+                } else {
+                    flake.reset(this.width, this.height);
+                }
+            }
+        }
+    }
+
+    pickLayer() {
+        let roll = Math.random();
+        for (let i = 0; i < SnowEffect.LAYERS.length; i++) {
+            roll -= SnowEffect.LAYERS[i].share;
+            if (roll <= 0) return i;
+        }
+        return SnowEffect.LAYERS.length - 1;
+    }
+
+    updateSurfaces() {
+        this.surfacesDirty = false;
+        this.surfaces = [];
+
+        this.surfaceConfig.forEach(config => {
+            document.querySelectorAll(config.selector).forEach(element => {
+                const rect = element.getBoundingClientRect();
+                const y = config.edge === 'bottom' ? rect.bottom : rect.top;
+                if (rect.width === 0 || y < 0 || y > this.height) return;
+
+                let pile = this.piles.get(element);
+                const columns = Math.ceil(rect.width / 4);
+                if (!pile || pile.length !== columns) {
+                    pile = new Float32Array(columns);
+                    this.piles.set(element, pile);
+                }
+
+                this.surfaces.push({ left: rect.left, right: rect.right, y, pile, config });
+            });
+        });
+    }
+
+    /**
+     * Settle the flake if it just crossed a surface, adding to that surface's pile
+     */
+    land(flake, previousY) {
+        for (let i = 0; i < this.surfaces.length; i++) {
+            const surface = this.surfaces[i];
+            if (previousY >= surface.y || flake.y < surface.y) continue;
+            if (flake.x < surface.left || flake.x > surface.right) continue;
+            if (Math.random() > surface.config.chance) continue;
+
+            const pile = surface.pile;
+            const column = Math.min(pile.length - 1, Math.floor((flake.x - surface.left) / 4));
+            const amount = flake.size * 0.6;
+
+            // Spread over neighbouring columns for a rounded mound
+            pile[column] = Math.min(surface.config.max, pile[column] + amount);
+            if (column > 0) pile[column - 1] = Math.min(surface.config.max, pile[column - 1] + amount / 2);
+            if (column < pile.length - 1) pile[column + 1] = Math.min(surface.config.max, pile[column + 1] + amount / 2);
+            return true;
+        }
+        return false;
+    }
+
+    meltPiles(dt) {
+        const melt = (this.isSnowing ? 0.002 : 0.05) * dt;
+        this.surfaces.forEach(({ pile }) => {
+            for (let i = 0; i < pile.length; i++) {
+                pile[i] = Math.max(0, pile[i] - melt);
+            }
+        });
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.globalAlpha = this.opacity;
+
+        // One path per layer, far flakes first
+        SnowEffect.LAYERS.forEach((layer, index) => {
+            ctx.beginPath();
+            this.flakes.forEach(flake => {
+                if (flake.layer !== index) return;
+                ctx.moveTo(flake.x + flake.size, flake.y);
+                ctx.arc(flake.x, flake.y, flake.size, 0, Math.PI * 2);
+            });
+            ctx.fillStyle = `rgba(${this.colors.flake}, ${layer.alpha})`;
+            ctx.fill();
+        });
+
+        // Piles resting on their edge
+        ctx.beginPath();
+        this.surfaces.forEach(({ left, y, pile }) => {
+            ctx.moveTo(left, y);
+            for (let i = 0; i < pile.length; i++) {
+                ctx.lineTo(left + i * 4 + 2, y - pile[i]);
             }
-        }, duration * 1000);
+            ctx.lineTo(left + pile.length * 4, y);
+            ctx.closePath();
+        });
+        ctx.fillStyle = `rgba(${this.colors.pile}, 0.9)`;
+        ctx.fill();
+
+        ctx.globalAlpha = 1;
     }
 }
 
+/**
+ * Depth layers, far to near: radius and fall speed ranges (px), opacity,
+ * sensitivity to wind, share of the flakes and whether they can settle
+ */
+SnowEffect.LAYERS = [
+    { size: [1, 1.8], speed: [0.4, 0.7], alpha: 0.45, wind: 0.5, share: 0.45, settles: false },
+    { size: [1.8, 2.8], speed: [0.8, 1.2], alpha: 0.7, wind: 0.8, share: 0.35, settles: true },
+    { size: [2.8, 4.5], speed: [1.3, 1.9], alpha: 0.9, wind: 1.2, share: 0.2, settles: true }
+];
+
+/**
+ * Where snow piles up: the glass navbar collects it along its bottom border,
+ * cards on their top edge. chance is the probability a crossing flake settles
+ */
+SnowEffect.SURFACES = [
+    { selector: '.navbar', edge: 'bottom', chance: 0.08, max: 5 },
+    { selector: '.card-animate', edge: 'top', chance: 0.35, max: 9 }
+];
+
 // ========================================
 // Mountain Parallax Effect
 // ========================================
 
-class MountainParallax {
-    constructor() {
+class MountainParallax extends Component {
+    constructor({ scroll = ScrollScheduler.shared() } = {}) {
+        super();
+        this.scroll = scroll;
         this.mountains = {
             back: document.querySelector('.mountain-back'),
             mid: document.querySelector('.mountain-mid'),
             front: document.querySelector('.mountain-front')
         };
+    }
 
+    mount() {
+        super.mount();
         if (!this.mountains.back) return;
 
-        this.init();
-    }
-
-    init() {
-        window.addEventListener('scroll', () => {
-            this.handleScroll();
-        });
+        this.onDestroy(this.scroll.subscribe({
+            write: ({ scrollY }) => this.handleScroll(scrollY)
+        }));
 
         // Mouse parallax effect
-        document.addEventListener('mousemove', (e) => {
+        this.listen(document, 'mousemove', (e) => {
             this.handleMouseMove(e);
         });
+
+        this.onDestroy(() => {
+            Object.values(this.mountains).forEach(layer => {
+                if (layer) layer.style.transform = '';
+            });
+        });
     }
 
-    handleScroll() {
-        const scrolled = window.pageYOffset;
-        const rate = scrolled * 0.5;
+    handleScroll(scrollY) {
+        const rate = scrollY * 0.5;
 
         if (this.mountains.back) {
             this.mountains.back.style.transform = `translateY(${rate * 0.3}px)`;
@@ -1022,7 +4157,9 @@ class MountainParallax {
     handleMouseMove(e) {
         if (window.pageYOffset > window.innerHeight) return;
 
-        const moveX = (e.clientX - window.innerWidth / 2) * 0.01;
+        // Mirror the horizontal drift for right-to-left reading
+        const direction = isRTL() ? -1 : 1;
+        const moveX = (e.clientX - window.innerWidth / 2) * 0.01 * direction;
         const moveY = (e.clientY - window.innerHeight / 2) * 0.01;
 
         if (this.mountains.back) {
@@ -1041,22 +4178,26 @@ class MountainParallax {
 // Profile Image Tilt Effect
 // ========================================
 
-class ProfileTilt {
+class ProfileTilt extends Component {
     constructor() {
+        super();
         this.profileImage = document.querySelector('.profile-image-wrapper');
-        if (!this.profileImage) return;
-
-        this.init();
     }
 
-    init() {
-        this.profileImage.addEventListener('mousemove', (e) => {
+    mount() {
+        super.mount();
+        if (!this.profileImage) return;
+
+        this.listen(this.profileImage, 'mousemove', (e) => {
             this.handleMouseMove(e);
         });
 
-        this.profileImage.addEventListener('mouseleave', () => {
+        this.listen(this.profileImage, 'mouseleave', () => {
             this.handleMouseLeave();
         });
+        this.onDestroy(() => {
+            this.profileImage.style.transform = '';
+        });
     }
 
     handleMouseMove(e) {
@@ -1083,89 +4224,147 @@ class ProfileTilt {
 // ========================================
 
 document.addEventListener('DOMContentLoaded', () => {
-    // Initialize all components
-    new Navigation();
-    new ScrollAnimations();
-    new SmoothScroll();
-    new SkillTagsAnimation();
-    new CVDownload();
-    new PerformanceOptimizer();
-    new AccessibilityEnhancer();
+    // App-wide services, shared by the components. They talk through the event bus
+    const events = EventBus.shared();
+    const analytics = new Analytics({ events });
+    // One scroll/resize listener for the page, shared by the components below
+    const scroll = ScrollScheduler.shared();
     new SecurityManager();
+    const languageManager = new LanguageManager({ events });
+    analytics.setI18n(languageManager);
+    const notifications = new NotificationManager({ i18n: languageManager, events });
+    notifications.watchConnection();
+    notifications.watchErrors();
+    new PWAManager({ notifications });
+    new ThemeManager({ i18n: languageManager, events });
+    const projects = new ProjectCatalog();
+
+    // Page components, created only where they apply (dependencies first)
+    const components = new ComponentRegistry()
+        .register('navigation', { selector: '#navbar', create: () => new Navigation({ events, scroll }) })
+        .register('anchor-router', { create: (registry) => new AnchorRouter({ navigation: registry.get('navigation') }) })
+        .register('scroll-animations', { create: () => new ScrollAnimations({ events }) })
+        .register('project-list', {
+            selector: '[data-project-list], [data-project-count]',
+            create: () => new ProjectList({ catalog: projects, i18n: languageManager, events })
+        })
+        .register('project-filters', {
+            selector: '[data-project-filters]',
+            create: () => new ProjectFilters({ catalog: projects, i18n: languageManager, events })
+        })
+        .register('project-page', {
+            selector: '[data-project-body]',
+            create: () => new ProjectPage({ catalog: projects, i18n: languageManager, events })
+        })
+        .register('skill-tags', {
+            selector: '.skill-tag',
+            create: () => new SkillTags({ catalog: projects, i18n: languageManager, events, scroll })
+        })
+        .register('performance', { create: () => new PerformanceOptimizer() })
+        .register('accessibility', { create: () => new AccessibilityEnhancer() })
+        .register('cv-download', { selector: 'a[download]', create: () => new CVDownload({ notifications, events }) })
+        .register('clipboard', { selector: '[data-copy]', create: () => new ClipboardCopy({ notifications }) })
+        .register('background', { selector: '#stars-canvas', create: () => new InteractiveBackground({ scroll, events }) })
+        .register('scroll-progress', { selector: '#scroll-progress', create: () => new ScrollProgress({ scroll }) })
+        // Before the toggle: it announces the saved or seasonal state as soon as it mounts
+        .register('snow-effect', { create: () => new SnowEffect({ scroll, events }) })
+        .register('snow-toggle', { selector: '#snow-toggle', create: () => new SnowManager({ events }) })
+        .register('mountain-parallax', { selector: '.mountain-back', create: () => new MountainParallax({ scroll }) })
+        .register('profile-tilt', {
+            pages: ['index'],
+            selector: '.profile-image-wrapper',
+            lazy: true,
+            create: () => new ProfileTilt()
+        })
+        .register('contact-form', {
+            selector: '#contact-form',
+            create: () => new FormValidator(document.getElementById('contact-form'), {
+                i18n: languageManager,
+                notifications,
+                events
+            })
+        })
+        .mountAll();
+
+    // Release the components' listeners, observers and animation loops when the
+    // page is left; a page restored from the back/forward cache mounts them again.
+    // The services created above are not components and live as long as the page
+    window.addEventListener('pagehide', () => components.destroyAll());
+    window.addEventListener('pageshow', (e) => {
+        if (e.persisted) components.mountAll();
+    });
 
-    // Initialize new visual effects
-    new LanguageManager();
-    const snowManager = new SnowManager();
-    // new ThemeManager(); // Removed
-    new InteractiveBackground();
-    new ScrollProgress();
-    const snowEffect = new SnowEffect();
-    snowManager.setSnowEffect(snowEffect);
-    new MountainParallax();
-    new ProfileTilt();
-
-    // Initialize form validator if contact form exists
-    const contactForm = document.getElementById('contact-form');
-    if (contactForm) {
-        new FormValidator(contactForm);
+    // Project pages are identified by their hero banner; projet.html names the project in ?id=
+    if (document.querySelector('.project-hero')) {
+        const page = location.pathname.split('/').pop().replace(/\.html$/, '');
+        analytics.track('project_view', { project: new URLSearchParams(location.search).get('id') || page });
     }
 
-    // Add CSS animations
-    addCustomAnimations();
-
     console.log('Portfolio initialized successfully with enhanced visuals! ❄️🏔️');
 });
 
 // ========================================
-// Custom CSS Animations
+// Service Worker Registration (PWA)
 // ========================================
 
-function addCustomAnimations() {
-    const style = document.createElement('style');
-    style.textContent = `
-        @keyframes slideInUp {
-            from {
-                opacity: 0;
-                transform: translateY(20px);
-            }
-            to {
-                opacity: 1;
-                transform: translateY(0);
-            }
-        }
+/**
+ * Registers sw.js and offers to reload when a new version is waiting
+ */
+class PWAManager {
+    constructor({ notifications = null, script = 'sw.js' } = {}) {
+        this.notifications = notifications;
+        this.script = script;
+        this.reloading = false;
+        this.init();
+    }
 
-        @keyframes fadeOut {
-            from {
-                opacity: 1;
-            }
-            to {
-                opacity: 0;
-            }
-        }
+    init() {
+        if (!('serviceWorker' in navigator)) return;
 
-        .keyboard-nav *:focus {
-            outline: 2px solid var(--primary-color);
-            outline-offset: 2px;
-        }
+        // The waiting worker took over after "reload" was chosen
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloading) return;
+            this.reloading = true;
+            window.location.reload();
+        });
+
+        window.addEventListener('load', () => this.register());
+    }
+
+    async register() {
+        try {
+            const registration = await navigator.serviceWorker.register(this.script);
+
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.promptUpdate(registration.waiting);
+            }
 
-        .error-message {
-            animation: slideInUp 0.3s ease;
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, nothing to replace
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.promptUpdate(worker);
+                    }
+                });
+            });
+        } catch (error) {
+            console.warn('Service worker registration failed:', error.message);
         }
-    `;
-    document.head.appendChild(style);
-}
+    }
 
-// ========================================
-// Service Worker Registration (PWA)
-// ========================================
+    promptUpdate(worker) {
+        if (!this.notifications) return;
 
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        // Uncomment to enable PWA functionality
-        // navigator.serviceWorker.register('/sw.js')
-        //     .then(registration => console.log('SW registered:', registration))
-        //     .catch(error => console.log('SW registration failed:', error));
-    });
+        this.notifications.info('pwa.update', {
+            id: 'pwa-update',
+            duration: 0,
+            action: {
+                key: 'pwa.reload',
+                onClick: () => worker.postMessage({ type: 'SKIP_WAITING' })
+            }
+        });
+    }
 }
 
 // ========================================
@@ -1174,10 +4373,22 @@ if ('serviceWorker' in navigator) {
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        escapeHTML,
         sanitizeHTML,
+        SAFE_HTML,
         debounce,
+        ScrollScheduler,
+        EventBus,
+        Component,
+        ComponentRegistry,
+        ProjectCatalog,
         Navigation,
+        AnchorRouter,
         ScrollAnimations,
+        Analytics,
+        BeaconAnalyticsAdapter,
+        NotificationManager,
+        ContactService,
         FormValidator,
         SecurityManager
     };
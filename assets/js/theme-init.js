@@ -0,0 +1,25 @@
+/**
+ * Theme bootstrap - Portfolio Mehdi EL ALLAM
+ * Loaded from <head> without defer (the CSP forbids inline scripts) so the
+ * saved or system theme is on <html> before the first paint. ThemeManager
+ * (main.js) takes over once the page is loaded
+ */
+
+(() => {
+    let preference = null;
+    try {
+        preference = localStorage.getItem('theme');
+    } catch (e) {
+        // Storage unavailable: follow the system
+    }
+
+    if (preference !== 'light' && preference !== 'dark') {
+        preference = 'auto';
+    }
+
+    const systemLight = window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches;
+    const theme = preference === 'auto' ? (systemLight ? 'light' : 'dark') : preference;
+
+    document.documentElement.setAttribute('data-theme', theme);
+    document.documentElement.setAttribute('data-theme-preference', preference);
+})();
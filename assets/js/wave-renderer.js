@@ -0,0 +1,765 @@
+/**
+ * Wave grid renderer - Portfolio Mehdi EL ALLAM
+ * Shared by InteractiveBackground in main.js (main thread) and wave-worker.js
+ * (OffscreenCanvas), so it must not touch the DOM
+ */
+
+// ========================================
+// Wave Point
+// ========================================
+
+class WavePoint {
+    constructor(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.baseY = y;
+        this.baseZ = z;
+        this.screenX = 0;
+        this.screenY = 0;
+        this.scale = 0;
+        this.size = 0;
+        this.seed = Math.random(); // Per-point randomness for scenes such as the starfield
+    }
+
+    project(width, height, fov, viewDistance) {
+        // Perspective projection
+        const scale = fov / (viewDistance + this.z);
+        this.scale = scale;
+        this.screenX = width / 2 + (this.x * scale);
+        this.screenY = height / 2 + (this.y * scale);
+        this.size = scale * 3; // Base size multiplier
+    }
+}
+
+// ========================================
+// Wave Renderer
+// ========================================
+
+class WaveRenderer {
+    /**
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+     * @param {CanvasRenderingContext2D|WebGLRenderingContext} context
+     */
+    constructor(canvas, context = canvas.getContext('2d')) {
+        this.canvas = canvas;
+        this.ctx = context;
+        this.points = [];
+        this.width = 0;
+        this.height = 0;
+        this.targetRotationX = 0;
+        this.targetRotationY = 0;
+        this.rotationX = 0;
+        this.rotationY = 0;
+
+        // 3D Grid Configuration, set by the scene (see WaveRenderer.SCENES)
+        this.fov = 300;
+        this.viewDistance = 400;
+        this.floor = 100;
+        this.hueStart = 100;
+        this.hueEnd = 300;
+        this.saturation = 0.8; // Set by the page theme (see setPalette)
+        this.lightness = 0.6;
+        this.gridScale = this.constructor.GRID_SCALE; // Denser grids for faster backends
+        this.baseGridSize = 50; // Points per side at full density
+        this.baseSpacing = 40;  // Space between points at full density
+        this.gridSizeX = this.baseGridSize;
+        this.gridSizeZ = this.baseGridSize;
+        this.spacing = this.baseSpacing;
+        this.depth = this.baseGridSize * this.baseSpacing;
+
+        // Scene transition: positions morph from one formula to the other
+        this.scene = null;
+        this.sceneFrom = null;
+        this.mix = 1;
+        this.transitionStart = 0;
+        this.transitionDuration = 1500;
+        this.sample = { x: 0, y: 0, z: 0, level: 0 };
+        this.sampleFrom = { x: 0, y: 0, z: 0, level: 0 };
+
+        // Adaptive density: the grid shrinks when a frame costs more than the budget
+        this.density = 1;
+        this.minDensity = 0.4;
+        this.frameBudget = 8; // ms of drawing per frame
+        this.frameCost = 0;
+        this.frameCount = 0;
+
+        // Points are batched by colour so a frame is a few dozen fills, not one per point
+        this.hueSteps = 10;
+        this.alphaSteps = 5;
+        this.buckets = [];
+        this.styles = [];
+
+        this.frameId = null;
+        this.time = 0;
+
+        this.createStyles();
+        this.setScene('waves', {}, true);
+    }
+
+    /**
+     * Back the canvas with device pixels, draw in CSS pixels
+     */
+    resize(width, height, ratio = 1) {
+        this.width = width;
+        this.height = height;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        // Resizing clears the canvas: a paused background needs its frame back
+        if (!this.frameId) {
+            this.render();
+        }
+    }
+
+    /**
+     * Tilt towards the pointer
+     * @param {number} x - Horizontal position, -1 (left) to 1 (right)
+     * @param {number} y - Vertical position, -1 (top) to 1 (bottom)
+     */
+    setPointer(x, y) {
+        this.targetRotationY = x * 0.3; // Rotate around Y axis
+        this.targetRotationX = y * 0.2; // Rotate around X axis
+    }
+
+    /**
+     * Switch to another preset; positions, colours and camera morph over transitionDuration
+     * @param {string} name - Key of WaveRenderer.SCENES
+     * @param {Object} options - Overrides of the preset values (fov, hue, gridSize...)
+     * @param {boolean} immediate - Skip the transition
+     */
+    setScene(name, options = {}, immediate = false) {
+        const target = { ...(WaveRenderer.SCENES[name] || WaveRenderer.SCENES.waves), ...options };
+        if (!WaveRenderer.FORMULAS[target.formula]) {
+            target.formula = 'waves';
+        }
+
+        // A paused background jumps straight to the new frame
+        if (immediate || !this.scene || !this.frameId) {
+            this.sceneFrom = target;
+        } else {
+            // Restart from what is on screen, even in the middle of another transition
+            this.sceneFrom = {
+                ...this.currentValues(),
+                formula: this.mix < 0.5 ? this.sceneFrom.formula : this.scene.formula
+            };
+        }
+        this.scene = target;
+        this.mix = this.sceneFrom === target ? 1 : 0;
+        this.transitionStart = performance.now();
+
+        // Same floor extent whatever the density
+        const gridSize = Math.round(target.gridSize * this.gridScale);
+        const spacing = (target.gridSize * target.spacing) / gridSize;
+        this.depth = target.gridSize * target.spacing;
+        if (gridSize !== this.baseGridSize || spacing !== this.baseSpacing || !this.points.length) {
+            this.baseGridSize = gridSize;
+            this.baseSpacing = spacing;
+            this.createGrid();
+        }
+
+        this.applyValues(this.currentValues());
+        if (!this.frameId && this.width) {
+            this.render();
+        }
+    }
+
+    /**
+     * Colour of the points for the active theme
+     * @param {number} saturation - 0 to 1
+     * @param {number} lightness - 0 to 1
+     */
+    setPalette(saturation, lightness) {
+        this.saturation = saturation;
+        this.lightness = lightness;
+        this.createStyles();
+
+        if (!this.frameId && this.width) {
+            this.render();
+        }
+    }
+
+    /**
+     * Camera and colour values at the current point of the transition
+     */
+    currentValues() {
+        const from = this.sceneFrom;
+        const to = this.scene;
+        const t = this.mix * this.mix * (3 - 2 * this.mix); // Ease in-out
+        const lerp = (a, b) => a + (b - a) * t;
+
+        return {
+            fov: lerp(from.fov, to.fov),
+            viewDistance: lerp(from.viewDistance, to.viewDistance),
+            floor: lerp(from.floor, to.floor),
+            hue: [lerp(from.hue[0], to.hue[0]), lerp(from.hue[1], to.hue[1])]
+        };
+    }
+
+    applyValues(values) {
+        this.fov = values.fov;
+        this.viewDistance = values.viewDistance;
+        this.floor = values.floor;
+
+        if (values.hue[0] !== this.hueStart || values.hue[1] !== this.hueEnd) {
+            this.hueStart = values.hue[0];
+            this.hueEnd = values.hue[1];
+            this.createStyles();
+        }
+    }
+
+    updateTransition() {
+        if (this.mix >= 1) return;
+
+        this.mix = Math.min(1, (performance.now() - this.transitionStart) / this.transitionDuration);
+        this.applyValues(this.currentValues());
+    }
+
+    start() {
+        if (this.frameId) return;
+        this.frameId = WaveRenderer.requestFrame(() => this.animate());
+    }
+
+    stop() {
+        if (!this.frameId) return;
+        WaveRenderer.cancelFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    createStyles() {
+        this.styles = [];
+        this.buckets = [];
+
+        for (let h = 0; h < this.hueSteps; h++) {
+            for (let a = 0; a < this.alphaSteps; a++) {
+                const hue = this.hueStart + (h + 0.5) * ((this.hueEnd - this.hueStart) / this.hueSteps);
+                const alpha = (a + 1) / this.alphaSteps;
+                this.styles.push(`hsla(${hue}, ${this.saturation * 100}%, ${this.lightness * 100}%, ${alpha})`);
+                this.buckets.push([]);
+            }
+        }
+    }
+
+    createGrid() {
+        // Fewer points further apart keep the same floor extent at lower density
+        this.gridSizeX = Math.max(10, Math.round(this.baseGridSize * this.density));
+        this.gridSizeZ = this.gridSizeX;
+        this.spacing = (this.baseGridSize * this.baseSpacing) / this.gridSizeX;
+
+        this.points = [];
+        const startX = -(this.gridSizeX * this.spacing) / 2;
+        const startZ = 0; // Start slightly in front
+
+        for (let z = 0; z < this.gridSizeZ; z++) {
+            for (let x = 0; x < this.gridSizeX; x++) {
+                const px = startX + x * this.spacing;
+                const py = 100; // Floor level
+                const pz = startZ + z * this.spacing;
+                this.points.push(new WavePoint(px, py, pz));
+            }
+        }
+    }
+
+    animate() {
+        // Smooth rotation
+        this.rotationX += (this.targetRotationX - this.rotationX) * 0.05;
+        this.rotationY += (this.targetRotationY - this.rotationY) * 0.05;
+
+        this.time += 0.1;
+        this.updateTransition();
+
+        const start = performance.now();
+        this.render();
+        this.adaptDensity(this.measureFrame(start));
+
+        this.frameId = WaveRenderer.requestFrame(() => this.animate());
+    }
+
+    /**
+     * Cost of the frame that started at `start`, compared with frameBudget
+     */
+    measureFrame(start) {
+        return performance.now() - start;
+    }
+
+    /**
+     * Average the drawing cost over 60 frames and resize the grid to fit the budget
+     */
+    adaptDensity(cost) {
+        this.frameCost += cost;
+        if (++this.frameCount < 60) return;
+
+        const average = this.frameCost / this.frameCount;
+        this.frameCost = 0;
+        this.frameCount = 0;
+
+        let density = this.density;
+        if (average > this.frameBudget) {
+            density = Math.max(this.minDensity, density * 0.8);
+        } else if (average < this.frameBudget / 2) {
+            density = Math.min(1, density * 1.1);
+        }
+
+        if (Math.abs(density - this.density) > 0.01) {
+            this.density = density;
+            this.createGrid();
+        }
+    }
+
+    render() {
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.buckets.forEach(bucket => { bucket.length = 0; });
+
+        const cosY = Math.cos(this.rotationY);
+        const sinY = Math.sin(this.rotationY);
+        const cosX = Math.cos(this.rotationX);
+        const sinX = Math.sin(this.rotationX);
+
+        const formula = WaveRenderer.FORMULAS[this.scene.formula];
+        const formulaFrom = this.mix < 1 ? WaveRenderer.FORMULAS[this.sceneFrom.formula] : null;
+        const t = this.mix * this.mix * (3 - 2 * this.mix);
+        const point = this.sample;
+        const from = this.sampleFrom;
+
+        // Update and bucket points
+        for (let i = 0; i < this.points.length; i++) {
+            formula(this.points[i], this.time, this, point);
+
+            // Morph from the previous scene
+            if (formulaFrom) {
+                formulaFrom(this.points[i], this.time, this, from);
+                point.x = from.x + (point.x - from.x) * t;
+                point.y = from.y + (point.y - from.y) * t;
+                point.z = from.z + (point.z - from.z) * t;
+                point.level = from.level + (point.level - from.level) * t;
+            }
+
+            // Apply rotation (Basic 3D rotation matrix simplified)
+            // Rotate around Y
+            const rx = point.x * cosY - point.z * sinY;
+            let rz = point.x * sinY + point.z * cosY;
+
+            // Rotate around X
+            const ry = point.y * cosX - rz * sinX;
+            rz = point.y * sinX + rz * cosX;
+
+            // Project
+            const scale = this.fov / (this.viewDistance + rz);
+            if (scale <= 0) continue;
+
+            // Color based on the level within the scene's hue range, fading out in distance
+            const hue = Math.min(this.hueSteps - 1, Math.max(0, Math.floor((point.level + 1) / 2 * this.hueSteps)));
+            const alpha = Math.min(this.alphaSteps - 1, Math.floor(scale * this.alphaSteps));
+
+            this.buckets[hue * this.alphaSteps + alpha].push(
+                this.width / 2 + (rx * scale),
+                this.height / 2 + (ry * scale),
+                scale * 3
+            );
+        }
+
+        // One path and one fill per colour
+        for (let b = 0; b < this.buckets.length; b++) {
+            const bucket = this.buckets[b];
+            if (!bucket.length) continue;
+
+            this.ctx.beginPath();
+            for (let i = 0; i < bucket.length; i += 3) {
+                this.ctx.moveTo(bucket[i] + bucket[i + 2], bucket[i + 1]);
+                this.ctx.arc(bucket[i], bucket[i + 1], bucket[i + 2], 0, Math.PI * 2);
+            }
+            this.ctx.fillStyle = this.styles[b];
+            this.ctx.fill();
+        }
+    }
+
+    /**
+     * Pick the best backend the canvas supports
+     * @param {string} [preference] - "webgl" or "2d" to force a backend
+     * @returns {WaveRenderer|null} null when the canvas gives out no context
+     */
+    static create(canvas, preference) {
+        if (preference !== '2d' && typeof WebGLWaveRenderer !== 'undefined') {
+            const gl = WebGLWaveRenderer.getContext(canvas);
+            if (gl) {
+                try {
+                    return new WebGLWaveRenderer(canvas, gl);
+                } catch (error) {
+                    // Shader compilation failed: a fresh canvas is needed for a 2D context
+                    console.warn('WebGL background unavailable:', error.message);
+                    return null;
+                }
+            }
+        }
+
+        const context = canvas.getContext('2d');
+        return context ? new WaveRenderer(canvas, context) : null;
+    }
+
+    // requestAnimationFrame exists in windows and in most workers; timers cover the rest
+    static requestFrame(callback) {
+        return typeof requestAnimationFrame === 'function'
+            ? requestAnimationFrame(callback)
+            : setTimeout(callback, 16);
+    }
+
+    static cancelFrame(id) {
+        if (typeof cancelAnimationFrame === 'function') {
+            cancelAnimationFrame(id);
+        } else {
+            clearTimeout(id);
+        }
+    }
+}
+
+WaveRenderer.GRID_SCALE = 1;
+
+/**
+ * Presets: camera (fov, viewDistance), floor height, grid (points per side and
+ * spacing at full density), hue range and the formula placing each point.
+ * Pages pick one with data-scene and override values with data-scene-options
+ */
+WaveRenderer.SCENES = {
+    waves: { formula: 'waves', fov: 300, viewDistance: 400, floor: 100, gridSize: 50, spacing: 40, hue: [100, 300] },
+    starfield: { formula: 'starfield', fov: 250, viewDistance: 150, floor: 0, gridSize: 45, spacing: 45, hue: [190, 290] },
+    ridge: { formula: 'ridge', fov: 320, viewDistance: 300, floor: 160, gridSize: 60, spacing: 35, hue: [180, 250] }
+};
+
+/**
+ * Point placement per scene: (point, time, renderer, out) writes x, y, z and a
+ * level from -1 to 1 used for the colour. Mirrored in WebGLWaveRenderer.VERTEX_SHADER
+ */
+WaveRenderer.FORMULAS = {
+    // Radial wave combined with a travelling one
+    waves(p, time, renderer, out) {
+        const distance = Math.sqrt(p.x * p.x + p.z * p.z);
+        const wave = Math.sin(distance * 0.02 - time) * 30 + Math.sin(p.x * 0.03 + time) * 20;
+
+        out.x = p.x;
+        out.y = renderer.floor + wave;
+        out.z = p.z;
+        out.level = wave / 50;
+    },
+
+    // Stars scattered in depth, flying towards the viewer
+    starfield(p, time, renderer, out) {
+        const depth = renderer.depth;
+
+        out.x = p.x * 1.5 + ((p.seed * 13.7) % 1 - 0.5) * 80;
+        out.y = ((p.seed * 71.3) % 1 - 0.5) * 600;
+        out.z = (((p.z - time * 20 + p.seed * depth) % depth) + depth) % depth;
+        out.level = ((p.seed * 37.1) % 1) * 2 - 1;
+    },
+
+    // Layered peaks growing with distance, like the MountainParallax layers
+    ridge(p, time, renderer, out) {
+        const ridge = (1 - Math.abs(Math.sin(p.x * 0.004 + p.z * 0.0015))) * 0.6
+            + (1 - Math.abs(Math.sin(p.x * 0.011 - p.z * 0.003 + 1.7))) * 0.3
+            + (1 - Math.abs(Math.sin(p.x * 0.023 + 0.5))) * 0.1;
+        const height = ridge * 220 * (0.4 + 0.6 * (p.z / renderer.depth));
+
+        out.x = p.x;
+        out.y = renderer.floor - height + Math.sin(time * 0.5 + p.x * 0.01) * 3;
+        out.z = p.z;
+        out.level = ridge * 2 - 1;
+    }
+};
+
+// ========================================
+// WebGL Wave Renderer
+// ========================================
+
+/**
+ * Draws the same grid as WaveRenderer with instanced quads: each point is one
+ * instance, the wave and projection run in the vertex shader and a soft glow
+ * in the fragment shader, so the grid can be much denser
+ */
+class WebGLWaveRenderer extends WaveRenderer {
+    constructor(canvas, gl) {
+        super(canvas, gl);
+        this.gl = gl;
+
+        this.minDensity = 0.3;
+        this.glow = 2.5; // Quad size relative to the dot radius
+        this.lastFrame = 0;
+
+        // The GPU works asynchronously: the budget is the interval between frames (45 fps)
+        this.frameBudget = 1000 / 45;
+
+        this.setup();
+        this.createGrid();
+
+        // Context loss (GPU reset, too many contexts): rebuild when it comes back
+        canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.wasRunning = Boolean(this.frameId);
+            this.stop();
+        });
+        canvas.addEventListener('webglcontextrestored', () => {
+            this.setup();
+            this.createGrid();
+            this.resize(this.width, this.height, this.ratio);
+            if (this.wasRunning) this.start();
+        });
+    }
+
+    /**
+     * @returns {WebGL2RenderingContext|WebGLRenderingContext|null} A context able to draw instances
+     */
+    static getContext(canvas) {
+        const options = { alpha: true, premultipliedAlpha: true, antialias: false };
+
+        try {
+            const gl2 = canvas.getContext('webgl2', options);
+            if (gl2) return gl2;
+
+            const gl = canvas.getContext('webgl', options);
+            return gl && gl.getExtension('ANGLE_instanced_arrays') ? gl : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    setup() {
+        const gl = this.gl;
+
+        // WebGL 2 has instancing built in, WebGL 1 through an extension
+        const ext = gl.getExtension('ANGLE_instanced_arrays');
+        this.instancing = typeof gl.drawArraysInstanced === 'function'
+            ? {
+                divisor: (location, divisor) => gl.vertexAttribDivisor(location, divisor),
+                draw: (count, instances) => gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, count, instances)
+            }
+            : {
+                divisor: (location, divisor) => ext.vertexAttribDivisorANGLE(location, divisor),
+                draw: (count, instances) => ext.drawArraysInstancedANGLE(gl.TRIANGLE_STRIP, 0, count, instances)
+            };
+
+        this.program = this.createProgram(WebGLWaveRenderer.VERTEX_SHADER, WebGLWaveRenderer.FRAGMENT_SHADER);
+        gl.useProgram(this.program);
+
+        this.uniforms = {};
+        ['u_time', 'u_rotation', 'u_resolution', 'u_fov', 'u_viewDistance', 'u_floor', 'u_depth', 'u_hue',
+            'u_formula', 'u_mix', 'u_glow', 'u_color'].forEach(name => {
+            this.uniforms[name] = gl.getUniformLocation(this.program, name);
+        });
+
+        // Shared quad, drawn once per point
+        const corner = gl.getAttribLocation(this.program, 'a_corner');
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(corner);
+        gl.vertexAttribPointer(corner, 2, gl.FLOAT, false, 0, 0);
+
+        // Grid x, z and seed: one value per instance
+        this.positionLocation = gl.getAttribLocation(this.program, 'a_position');
+        this.instanceBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.enableVertexAttribArray(this.positionLocation);
+        gl.vertexAttribPointer(this.positionLocation, 3, gl.FLOAT, false, 0, 0);
+        this.instancing.divisor(this.positionLocation, 1);
+
+        // Premultiplied "over" blending, correct because instances go back to front
+        gl.disable(gl.DEPTH_TEST);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        gl.clearColor(0, 0, 0, 0);
+    }
+
+    createProgram(vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+
+        [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]].forEach(([type, source]) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(gl.getShaderInfoLog(shader));
+            }
+            gl.attachShader(program, shader);
+        });
+
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(gl.getProgramInfoLog(program));
+        }
+        return program;
+    }
+
+    createGrid() {
+        super.createGrid();
+        if (!this.instanceBuffer) return;
+
+        // Furthest rows first so the blending needs no per-frame sort
+        const data = new Float32Array(this.points.length * 3);
+        for (let i = 0; i < this.points.length; i++) {
+            const p = this.points[this.points.length - 1 - i];
+            data[i * 3] = p.x;
+            data[i * 3 + 1] = p.z;
+            data[i * 3 + 2] = p.seed;
+        }
+
+        const gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+    }
+
+    // Canvas2D colour buckets are not needed
+    createStyles() {}
+
+    resize(width, height, ratio = 1) {
+        this.width = width;
+        this.height = height;
+        this.ratio = ratio;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+
+        if (!this.frameId) {
+            this.render();
+        }
+    }
+
+    start() {
+        this.lastFrame = 0;
+        super.start();
+    }
+
+    measureFrame() {
+        const now = performance.now();
+        const interval = this.lastFrame ? now - this.lastFrame : 0;
+        this.lastFrame = now;
+        return interval;
+    }
+
+    render() {
+        const gl = this.gl;
+        if (gl.isContextLost()) return;
+
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.useProgram(this.program);
+        gl.uniform1f(this.uniforms.u_time, this.time);
+        gl.uniform2f(this.uniforms.u_rotation, this.rotationX, this.rotationY);
+        gl.uniform2f(this.uniforms.u_resolution, this.width, this.height);
+        gl.uniform1f(this.uniforms.u_fov, this.fov);
+        gl.uniform1f(this.uniforms.u_viewDistance, this.viewDistance);
+        gl.uniform1f(this.uniforms.u_floor, this.floor);
+        gl.uniform1f(this.uniforms.u_depth, this.depth);
+        gl.uniform2f(this.uniforms.u_hue, this.hueStart, this.hueEnd);
+        gl.uniform2f(this.uniforms.u_formula,
+            WebGLWaveRenderer.FORMULA_IDS[this.sceneFrom.formula], WebGLWaveRenderer.FORMULA_IDS[this.scene.formula]);
+        gl.uniform1f(this.uniforms.u_mix, this.mix * this.mix * (3 - 2 * this.mix));
+        gl.uniform1f(this.uniforms.u_glow, this.glow);
+        gl.uniform2f(this.uniforms.u_color, this.saturation, this.lightness);
+
+        this.instancing.draw(4, this.points.length);
+    }
+}
+
+WebGLWaveRenderer.GRID_SCALE = 2.4;
+
+// Shader-side index of each WaveRenderer.FORMULAS entry
+WebGLWaveRenderer.FORMULA_IDS = { waves: 0, starfield: 1, ridge: 2 };
+
+// Same formulas, rotation and projection as WaveRenderer.render(), per instance
+WebGLWaveRenderer.VERTEX_SHADER = `
+attribute vec2 a_corner;
+attribute vec3 a_position; // grid x, grid z, seed
+uniform float u_time;
+uniform vec2 u_rotation;
+uniform vec2 u_resolution;
+uniform float u_fov;
+uniform float u_viewDistance;
+uniform float u_floor;
+uniform float u_depth;
+uniform vec2 u_hue;
+uniform vec2 u_formula; // previous and current scene
+uniform float u_mix;
+uniform mediump float u_glow; // Shared with the fragment shader: precisions must match
+varying vec2 v_corner;
+varying float v_alpha;
+varying float v_hue;
+
+// xyz: position, w: level from -1 to 1
+vec4 place(float formula, vec3 p) {
+    if (formula < 0.5) {
+        float wave = sin(length(p.xy) * 0.02 - u_time) * 30.0 + sin(p.x * 0.03 + u_time) * 20.0;
+        return vec4(p.x, u_floor + wave, p.y, wave / 50.0);
+    }
+    if (formula < 1.5) {
+        float z = mod(p.y - u_time * 20.0 + p.z * u_depth, u_depth);
+        return vec4(p.x * 1.5 + (fract(p.z * 13.7) - 0.5) * 80.0, (fract(p.z * 71.3) - 0.5) * 600.0, z,
+            fract(p.z * 37.1) * 2.0 - 1.0);
+    }
+    float ridge = (1.0 - abs(sin(p.x * 0.004 + p.y * 0.0015))) * 0.6
+        + (1.0 - abs(sin(p.x * 0.011 - p.y * 0.003 + 1.7))) * 0.3
+        + (1.0 - abs(sin(p.x * 0.023 + 0.5))) * 0.1;
+    float height = ridge * 220.0 * (0.4 + 0.6 * (p.y / u_depth));
+    return vec4(p.x, u_floor - height + sin(u_time * 0.5 + p.x * 0.01) * 3.0, p.y, ridge * 2.0 - 1.0);
+}
+
+void main() {
+    vec4 point = place(u_formula.y, a_position);
+    if (u_mix < 1.0) {
+        point = mix(place(u_formula.x, a_position), point, u_mix);
+    }
+
+    float cosY = cos(u_rotation.y);
+    float sinY = sin(u_rotation.y);
+    float cosX = cos(u_rotation.x);
+    float sinX = sin(u_rotation.x);
+
+    float rx = point.x * cosY - point.z * sinY;
+    float rz = point.x * sinY + point.z * cosY;
+    float ry = point.y * cosX - rz * sinX;
+    rz = point.y * sinX + rz * cosX;
+
+    float scale = u_fov / (u_viewDistance + rz);
+    if (scale <= 0.0) {
+        gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+        return;
+    }
+
+    vec2 screen = u_resolution * 0.5 + vec2(rx, ry) * scale + a_corner * scale * 3.0 * u_glow;
+    vec2 clip = screen / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+
+    v_corner = a_corner;
+    v_alpha = min(scale, 1.0);
+    v_hue = mix(u_hue.x, u_hue.y, (point.w + 1.0) * 0.5);
+}
+`;
+
+WebGLWaveRenderer.FRAGMENT_SHADER = `
+precision mediump float;
+varying vec2 v_corner;
+varying float v_alpha;
+varying float v_hue;
+uniform float u_glow;
+uniform vec2 u_color; // saturation, lightness
+
+vec3 hsl(float h, float s, float l) {
+    vec3 rgb = clamp(abs(mod(h * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+    return l + s * (rgb - 0.5) * (1.0 - abs(2.0 * l - 1.0));
+}
+
+void main() {
+    // 1.0 at the edge of the dot, u_glow at the edge of the quad
+    float d = length(v_corner) * u_glow;
+    if (d > u_glow) discard;
+
+    float core = 1.0 - smoothstep(0.85, 1.0, d);
+    float halo = exp(-d * d * 0.8) * 0.35;
+    float alpha = (core + halo) * v_alpha;
+
+    vec3 color = hsl(fract(v_hue / 360.0), u_color.x, u_color.y);
+    gl_FragColor = vec4(color * alpha, alpha);
+}
+`;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WavePoint, WaveRenderer, WebGLWaveRenderer };
+}
@@ -0,0 +1,47 @@
+/**
+ * Wave background worker - Portfolio Mehdi EL ALLAM
+ * Renders the wave grid (WebGL when available, Canvas2D otherwise) on an
+ * OffscreenCanvas transferred by InteractiveBackground; the page forwards
+ * pointer, size, scene, palette and play/pause changes as messages
+ */
+
+importScripts('wave-renderer.js');
+
+let renderer = null;
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'init') {
+        renderer = WaveRenderer.create(data.canvas, data.renderer);
+
+        // WebGL failed after taking the canvas: the page draws on a new one instead
+        if (!renderer) {
+            self.postMessage({ type: 'fallback' });
+        }
+        return;
+    }
+    if (!renderer) return;
+
+    switch (data.type) {
+        case 'resize':
+            renderer.resize(data.width, data.height, data.ratio);
+            break;
+        case 'pointer':
+            renderer.setPointer(data.x, data.y);
+            break;
+        case 'start':
+            renderer.start();
+            break;
+        case 'stop':
+            renderer.stop();
+            break;
+        case 'scene':
+            renderer.setScene(data.name, data.options, data.immediate);
+            break;
+        case 'palette':
+            renderer.setPalette(data.saturation, data.lightness);
+            break;
+        case 'render':
+            renderer.render();
+            break;
+    }
+});
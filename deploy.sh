@@ -56,14 +56,28 @@ print_info "Vérification de l'intégrité des fichiers..."
 
 REQUIRED_FILES=(
     "index.html"
+    "competences.html"
     "assets/css/styles.css"
     "assets/css/project-page.css"
+    "assets/css/competences.css"
     "assets/js/main.js"
+    "assets/js/wave-renderer.js"
+    "assets/js/wave-worker.js"
+    "assets/js/theme-init.js"
+    "assets/i18n/locales.json"
+    "assets/i18n/fr.json"
+    "assets/i18n/en.json"
+    "assets/data/projects.json"
     "assets/documents/CV_Mehdi_EL-ALLAM_Q3.pdf"
     "projet-jeu-video.html"
     "projet-base-donnees.html"
     "projet-sites-web.html"
+    "projet-enchere.html"
     "projet-code-game-jam.html"
+    "projet.html"
+    "offline.html"
+    "sw.js"
+    "manifest.webmanifest"
 )
 
 for file in "${REQUIRED_FILES[@]}"; do
@@ -0,0 +1,128 @@
+/**
+ * Service worker - Portfolio Mehdi EL ALLAM
+ * Precaches the site so it works offline; bump VERSION on every deployment
+ * so visitors get the new files (main.js then offers to reload)
+ */
+
+const VERSION = 'v6';
+const CACHE_PREFIX = 'portfolio-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+const OFFLINE_PAGE = 'offline.html';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'competences.html',
+    'projet.html',
+    'projet-base-donnees.html',
+    'projet-enchere.html',
+    'projet-jeu-video.html',
+    'projet-sites-web.html',
+    OFFLINE_PAGE,
+    'manifest.webmanifest',
+    'assets/css/styles.css',
+    'assets/css/project-page.css',
+    'assets/css/competences.css',
+    'assets/js/theme-init.js',
+    'assets/js/main.js',
+    'assets/js/wave-renderer.js',
+    'assets/js/wave-worker.js',
+    'assets/i18n/locales.json',
+    'assets/i18n/fr.json',
+    'assets/i18n/en.json',
+    'assets/data/projects.json',
+    'assets/images/icon.svg',
+    'assets/images/mehdi.jpg',
+    'assets/images/database-project.jpg',
+    'assets/images/game-project.jpg',
+    'assets/images/web-project.jpg',
+    'assets/images/mpdHotel-2137322222.gif',
+    'assets/images/placeholder-database.svg',
+    'assets/images/placeholder-event.svg',
+    'assets/images/placeholder-game.svg',
+    'assets/images/placeholder-web.svg',
+    'assets/documents/CV_Mehdi_EL-ALLAM_Q3.pdf',
+    'assets/documents/cv_mehdi.pdf'
+];
+
+// Google Fonts are the only cross-origin files worth keeping
+const CACHEABLE_ORIGINS = [self.location.origin, 'https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    // The new worker waits until the page asks it to take over (see SKIP_WAITING)
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || !CACHEABLE_ORIGINS.includes(url.origin)) return;
+
+    // The contact form and analytics always go to the network
+    if (url.origin === self.location.origin && url.pathname.includes('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+/**
+ * Pages: fresh when online, cached copy or the offline page otherwise
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone()).catch(() => {});
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true })) || cache.match(OFFLINE_PAGE);
+    }
+}
+
+/**
+ * Assets: answer from the cache right away and refresh it in the background
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then((response) => {
+            // Opaque font responses have status 0 but are still usable. Cache.put
+            // rejects partial (206) responses, e.g. media fetched with a Range header
+            if ((response.ok && response.status !== 206) || response.type === 'opaque') {
+                cache.put(request, response.clone()).catch(() => {});
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    if (cached) {
+        event.waitUntil(network);
+        return cached;
+    }
+    return network;
+}
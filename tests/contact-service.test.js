@@ -0,0 +1,92 @@
+// ========================================
+// ContactService
+// ========================================
+//
+//   node tests/contact-service.test.js     (or node --test tests/)
+//
+// fetch is stubbed; the delays between attempts are recorded instead of waited.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./support/mini-dom').install();
+const { ContactService } = require('../assets/js/main.js');
+
+const payload = { name: 'Ada', email: 'ada@example.com', message: 'Bonjour' };
+
+function reply(status, body = {}) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+/**
+ * A service whose fetch answers from `answers` in turn (a status, a body or an Error)
+ */
+function setup(t, answers, options = {}) {
+    const service = new ContactService({ endpoint: '/api/contact', retries: 2, ...options });
+    const delays = [];
+    service.wait = async (ms) => { delays.push(ms); };
+
+    const fetch = t.mock.method(globalThis, 'fetch', async () => {
+        const answer = answers.shift();
+        if (answer instanceof Error) throw answer;
+        return typeof answer === 'number' ? reply(answer) : reply(200, answer);
+    });
+    return { service, delays, fetch };
+}
+
+test('posts the payload as JSON and resolves with the answer', async (t) => {
+    const { service, fetch } = setup(t, [{ id: 7 }]);
+
+    assert.deepEqual(await service.send(payload), { id: 7 });
+
+    const [url, init] = fetch.mock.calls[0].arguments;
+    assert.equal(url, '/api/contact');
+    assert.equal(init.method, 'POST');
+    assert.equal(init.headers['Content-Type'], 'application/json');
+    assert.deepEqual(JSON.parse(init.body), payload);
+});
+
+test('retries 5xx, 429 and network errors with exponential backoff, then succeeds', async (t) => {
+    const { service, delays, fetch } = setup(t, [503, new TypeError('Failed to fetch'), 429, { id: 1 }], { retries: 3, retryDelay: 100 });
+
+    assert.deepEqual(await service.send(payload), { id: 1 });
+    assert.equal(fetch.mock.callCount(), 4);
+    assert.deepEqual(delays, [100, 200, 400]);
+});
+
+test('gives up after the last retry with the last error', async (t) => {
+    const { service, fetch } = setup(t, [500, 502, 503, { id: 1 }]);
+
+    await assert.rejects(service.send(payload), { message: 'HTTP 503', status: 503, retryable: true });
+    assert.equal(fetch.mock.callCount(), 3);
+});
+
+test('does not retry 4xx answers', async (t) => {
+    const { service, delays, fetch } = setup(t, [400, { id: 1 }]);
+
+    await assert.rejects(service.send(payload), { message: 'HTTP 400', status: 400, retryable: false });
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.deepEqual(delays, []);
+});
+
+test('aborts a request that outlasts the timeout and retries it', async (t) => {
+    const service = new ContactService({ endpoint: '/api/contact', timeout: 20, retries: 1 });
+    service.wait = async () => {};
+    const signals = [];
+    t.mock.method(globalThis, 'fetch', (url, { signal }) => new Promise((resolve, reject) => {
+        signals.push(signal);
+        // Never answers: only the abort settles it, like a hung server
+        signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+    }));
+
+    await assert.rejects(service.send(payload), { message: 'Request timed out', retryable: true });
+    assert.equal(signals.length, 2);
+    assert.ok(signals.every(signal => signal.aborted));
+});
+
+test('refuses to send without an endpoint', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => reply(200));
+
+    await assert.rejects(new ContactService().send(payload), /No contact endpoint configured/);
+    assert.equal(fetch.mock.callCount(), 0);
+});
@@ -0,0 +1,100 @@
+// ========================================
+// EventBus
+// ========================================
+//
+//   node tests/event-bus.test.js     (or node --test tests/)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./support/mini-dom').install();
+const { EventBus } = require('../assets/js/main.js');
+
+test('on() receives the payload of each emit until unsubscribed', () => {
+    const bus = new EventBus();
+    const received = [];
+    const off = bus.on('section:entered', detail => received.push(detail.id));
+
+    bus.emit('section:entered', { id: 'projets' });
+    bus.emit('section:entered', { id: 'contact' });
+    off();
+    bus.emit('section:entered', { id: 'cv' });
+
+    assert.deepEqual(received, ['projets', 'contact']);
+});
+
+test('once() only receives the next event', () => {
+    const bus = new EventBus();
+    const received = [];
+    bus.once('cv:downloaded', detail => received.push(detail.file));
+
+    bus.emit('cv:downloaded', { file: 'cv.pdf' });
+    bus.emit('cv:downloaded', { file: 'cv_en.pdf' });
+
+    assert.deepEqual(received, ['cv.pdf']);
+});
+
+test('onAny() and history record the event stream in order', () => {
+    const bus = new EventBus({ historySize: 2 });
+    const stream = [];
+    bus.onAny(event => stream.push([event.type, event.detail]));
+
+    bus.emit('snow:toggled', { enabled: true, source: 'auto' });
+    bus.emit('projects:filtered', { tags: ['UML'], sort: 'name' });
+    bus.emit('form:submitted', { form: 'contact-form', status: 'sent' });
+
+    assert.deepEqual(stream, [
+        ['snow:toggled', { enabled: true, source: 'auto' }],
+        ['projects:filtered', { tags: ['UML'], sort: 'name' }],
+        ['form:submitted', { form: 'contact-form', status: 'sent' }]
+    ]);
+    assert.deepEqual(bus.history.map(event => event.type), ['projects:filtered', 'form:submitted']);
+});
+
+test('a failing handler does not keep the others from running', (t) => {
+    const bus = new EventBus();
+    const errors = t.mock.method(console, 'error', () => {});
+    let reached = false;
+    bus.on('section:entered', () => { throw new Error('boom'); });
+    bus.on('section:entered', () => { reached = true; });
+
+    bus.emit('section:entered', { id: 'projets' });
+
+    assert.equal(reached, true);
+    assert.equal(errors.mock.callCount(), 1);
+});
+
+test('unknown event types throw on emit and on', () => {
+    const bus = new EventBus();
+    assert.throws(() => bus.emit('section:left', { id: 'projets' }), /Unknown event "section:left"/);
+    assert.throws(() => bus.on('section:left', () => {}), /Unknown event/);
+});
+
+test('payloads of the wrong shape are rejected before reaching handlers', () => {
+    const bus = new EventBus();
+    let calls = 0;
+    bus.onAny(() => calls++);
+
+    [
+        ['section:entered', {}],
+        ['section:entered', { id: 42 }],
+        ['snow:toggled', { enabled: 'yes', source: 'user' }],
+        ['form:submitted', { form: 'contact-form', status: 'pending' }],
+        ['projects:filtered', { tags: null, sort: 'date' }],
+        ['projects:filtered', { tags: { UML: true }, sort: 'date' }],
+        ['projects:filtered', { tags: 'UML', sort: 'date' }],
+        ['projects:rendered', { root: null, count: 3 }],
+        ['language:changed', { lang: 'en', previous: 'fr', locale: 'en-US', dir: 'auto' }]
+    ].forEach(([type, detail]) => {
+        assert.throws(() => bus.emit(type, detail), TypeError, `${type} ${JSON.stringify(detail)}`);
+    });
+    assert.equal(calls, 0);
+});
+
+test('nullable fields accept null, arrays satisfy array fields', () => {
+    const bus = new EventBus();
+    bus.emit('language:changed', { lang: 'fr', previous: null, locale: 'fr-FR', dir: 'ltr' });
+    bus.emit('projects:filtered', { tags: [], sort: 'date' });
+    bus.emit('projects:rendered', { root: {}, count: 0 });
+    assert.equal(bus.history.length, 3);
+});
@@ -0,0 +1,131 @@
+// ========================================
+// FormValidator rules
+// ========================================
+//
+//   node tests/form-validator.test.js     (or node --test tests/)
+//
+// Fields are plain objects with the properties the rules read (value, type,
+// required, minLength, dataset…); showError/clearError are recorded, not rendered.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./support/mini-dom').install();
+const { FormValidator } = require('../assets/js/main.js');
+
+function field({ value = '', type = 'text', required = false, minLength = -1, maxLength = -1, attributes = {}, dataset = {} } = {}) {
+    return { value, type, required, minLength, maxLength, dataset, getAttribute: name => attributes[name] ?? null };
+}
+
+/**
+ * A validator on `form` (a querySelector stand-in) whose errors are collected
+ */
+function setup(t, form = { querySelector: () => null }) {
+    const validator = new FormValidator(null);
+    validator.form = form;
+    const errors = [];
+    t.mock.method(validator, 'showError', (input, key, params) => errors.push({ input, key, params }));
+    t.mock.method(validator, 'clearError', () => {});
+    return { validator, errors };
+}
+
+async function check(t, input, form) {
+    const { validator, errors } = setup(t, form);
+    const valid = await validator.validateInput(input);
+    return { valid, ...(errors[0] && { key: errors[0].key, params: errors[0].params }) };
+}
+
+test('required fails on empty or blank values', async (t) => {
+    assert.deepEqual(await check(t, field({ required: true, value: '   ' })), { valid: false, key: 'validation.required', params: {} });
+    assert.deepEqual(await check(t, field({ required: true, value: 'x' })), { valid: true });
+});
+
+test('optional empty fields skip every other rule', async (t) => {
+    assert.deepEqual(await check(t, field({ type: 'email', minLength: 10 })), { valid: true });
+});
+
+test('email, url and phone check the value format', async (t) => {
+    assert.equal((await check(t, field({ type: 'email', value: 'ada@example.com' }))).valid, true);
+    assert.equal((await check(t, field({ type: 'email', value: 'ada@example' }))).key, 'validation.email');
+
+    assert.equal((await check(t, field({ type: 'url', value: 'https://example.com' }))).valid, true);
+    assert.equal((await check(t, field({ type: 'url', value: 'javascript:alert(1)' }))).key, 'validation.url');
+    assert.equal((await check(t, field({ dataset: { validate: 'url' }, value: 'example' }))).key, 'validation.url');
+
+    assert.equal((await check(t, field({ type: 'tel', value: '+33 6 12 34 56 78' }))).valid, true);
+    assert.equal((await check(t, field({ type: 'tel', value: '12' }))).key, 'validation.phone');
+    assert.equal((await check(t, field({ type: 'tel', value: 'appelez-moi' }))).key, 'validation.phone');
+});
+
+test('minlength and maxlength pass their count to the message', async (t) => {
+    assert.deepEqual(await check(t, field({ minLength: 10, value: 'court' })), { valid: false, key: 'validation.minlength', params: { count: 10 } });
+    assert.deepEqual(await check(t, field({ maxLength: 3, value: 'trop long' })), { valid: false, key: 'validation.maxlength', params: { count: 3 } });
+    assert.deepEqual(await check(t, field({ minLength: 2, maxLength: 5, value: 'ok' })), { valid: true });
+});
+
+test('pattern matches the whole value and ignores invalid patterns', async (t) => {
+    assert.equal((await check(t, field({ attributes: { pattern: '[A-Z]{3}' }, value: 'ABC' }))).valid, true);
+    assert.equal((await check(t, field({ attributes: { pattern: '[A-Z]{3}' }, value: 'ABCD' }))).key, 'validation.pattern');
+    assert.equal((await check(t, field({ attributes: { pattern: '(' }, value: 'x' }))).valid, true);
+});
+
+test('match compares with the field named by data-match', async (t) => {
+    const password = field({ value: 'secret' });
+    const form = { querySelector: selector => (selector === '#password' ? password : null) };
+
+    assert.equal((await check(t, field({ dataset: { match: '#password' }, value: 'secret' }), form)).valid, true);
+    assert.equal((await check(t, field({ dataset: { match: '#password' }, value: 'secrets' }), form)).key, 'validation.match');
+    // A selector that finds nothing turns the rule off
+    assert.equal((await check(t, field({ dataset: { match: '#missing' }, value: 'x' }), form)).valid, true);
+});
+
+test('the first failing rule, in declaration order, is reported', async (t) => {
+    const input = field({ type: 'email', minLength: 20, attributes: { pattern: 'x' }, value: 'pas-un-email' });
+    assert.equal((await check(t, input)).key, 'validation.email');
+});
+
+test('data-error-<rule> picks another message key when the catalog has it', async (t) => {
+    const input = field({ attributes: { pattern: '\\d{5}' }, dataset: { errorPattern: 'validation.postcode' }, value: 'abc' });
+
+    // Unknown key: generic message
+    assert.equal((await check(t, input)).key, 'validation.invalid');
+
+    const { validator, errors } = setup(t);
+    validator.messages['validation.postcode'] = 'Code postal sur 5 chiffres';
+    await validator.validateInput(input);
+    assert.equal(errors[0].key, 'validation.postcode');
+});
+
+test('addRule() registers a rule that fields enable with data-validate', async (t) => {
+    t.after(() => { delete FormValidator.rules.even; });
+    FormValidator.addRule('even', value => Number(value) % 2 === 0);
+
+    assert.equal((await check(t, field({ value: '3' }))).valid, true);
+    assert.equal((await check(t, field({ dataset: { validate: 'url even' }, value: '3' }))).key, 'validation.url');
+    assert.equal((await check(t, field({ dataset: { validate: 'even' }, value: '4' }))).valid, true);
+    // No validation.even message: the generic one is shown
+    assert.equal((await check(t, field({ dataset: { validate: 'even' }, value: '3' }))).key, 'validation.invalid');
+});
+
+test('async rules are awaited, and a stale result does not overwrite a newer one', async (t) => {
+    const pending = [];
+    t.after(() => { delete FormValidator.rules.available; });
+    FormValidator.addRule('available', value => new Promise(resolve => pending.push({ value, resolve })));
+
+    const { validator, errors } = setup(t);
+    const input = field({ dataset: { validate: 'available' }, value: 'pris' });
+
+    const first = validator.validateInput(input);
+    input.value = 'libre';
+    const second = validator.validateInput(input);
+
+    // The newer check answers first, the older one afterwards
+    pending[1].resolve(true);
+    assert.equal(await second, true);
+    pending[0].resolve(false);
+    assert.equal(await first, false);
+
+    assert.deepEqual(pending.map(check => check.value), ['pris', 'libre']);
+    assert.equal(errors.length, 0);
+    assert.equal(validator.clearError.mock.callCount(), 1);
+});
@@ -0,0 +1,66 @@
+// ========================================
+// escapeHTML / sanitizeHTML
+// ========================================
+//
+//   node tests/sanitize.test.js     (or node --test tests/)
+//
+// tests/support/mini-dom.js stands in for the browser parser, so these cover
+// the allow-list (tags, attributes, URL schemes as an attribute holds them),
+// not how a browser decodes character references in hostile markup.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./support/mini-dom').install();
+const { escapeHTML, sanitizeHTML } = require('../assets/js/main.js');
+
+test('escapeHTML escapes & < > " and \'', () => {
+    assert.equal(escapeHTML(`<a href="x" title='y'>Tom & Jerry</a>`),
+        '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;Tom &amp; Jerry&lt;/a&gt;');
+    assert.equal(escapeHTML('&amp;'), '&amp;amp;');
+    assert.equal(escapeHTML(42), '42');
+});
+
+test('sanitizeHTML keeps the allowed tags and attributes', () => {
+    const html = '<p>Du <strong>gras</strong>, de l\'<em>italique</em>, <code>x</code><br>'
+        + '<a href="https://example.com" title="Site">un lien</a></p><ul><li>un</li></ul>';
+    assert.equal(sanitizeHTML(html), html);
+    assert.equal(sanitizeHTML('<a href="projet.html?id=enchere">relatif</a>'), '<a href="projet.html?id=enchere">relatif</a>');
+    assert.equal(sanitizeHTML('<a href="mailto:moi@example.com">mail</a>'), '<a href="mailto:moi@example.com">mail</a>');
+});
+
+test('sanitizeHTML strips javascript: URLs, whatever their case or whitespace', () => {
+    [
+        'javascript:alert(1)',
+        'JavaScript:alert(1)',
+        ' javascript:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        '\u0001javascript:alert(1)'
+    ].forEach(href => {
+        assert.equal(sanitizeHTML(`<a href="${href}">x</a>`), '<a>x</a>', href);
+    });
+});
+
+test('sanitizeHTML strips data: and other unknown protocols', () => {
+    assert.equal(sanitizeHTML('<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>'), '<a>x</a>');
+    assert.equal(sanitizeHTML('<a href="vbscript:msgbox(1)">x</a>'), '<a>x</a>');
+});
+
+test('sanitizeHTML removes event handlers and unknown attributes', () => {
+    assert.equal(sanitizeHTML('<strong onclick="alert(1)" onmouseover="alert(2)">x</strong>'), '<strong>x</strong>');
+    assert.equal(sanitizeHTML('<a href="#top" style="color:red" ONFOCUS="alert(1)">x</a>'), '<a href="#top">x</a>');
+});
+
+test('sanitizeHTML drops script and svg payloads with their content', () => {
+    assert.equal(sanitizeHTML('avant<script>alert(1)</script>après'), 'avantaprès');
+    assert.equal(sanitizeHTML('<svg onload="alert(1)"><circle r="1"></circle></svg>ok'), 'ok');
+    assert.equal(sanitizeHTML('<svg><script>alert(1)</script></svg>'), '');
+    assert.equal(sanitizeHTML('<iframe src="https://evil.example"></iframe><style>*{}</style>x'), 'x');
+});
+
+test('sanitizeHTML unwraps other tags and removes comments', () => {
+    assert.equal(sanitizeHTML('<div><span>texte</span></div>'), 'texte');
+    assert.equal(sanitizeHTML('<img src="x" onerror="alert(1)">image'), 'image');
+    assert.equal(sanitizeHTML('a<!-- commentaire -->b'), 'ab');
+});
@@ -0,0 +1,218 @@
+// ========================================
+// Minimal DOM for the tests
+// ========================================
+//
+// Just enough of document/Node for main.js to load under plain node and for
+// sanitizeHTML to parse and serialize a <template>: elements, text, comments,
+// attributes, void and raw-text tags. It is no HTML parser: character
+// references are not decoded and markup is taken as written, so tests only
+// feed it well-formed input whose parse a browser would give the same way.
+
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+const COMMENT_NODE = 8;
+const FRAGMENT_NODE = 11;
+
+const VOID_TAGS = ['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr'];
+const RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title'];
+
+class MiniNode {
+    constructor(nodeType, nodeName) {
+        this.nodeType = nodeType;
+        this.nodeName = nodeName;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => {
+            if (node.parentNode) node.remove();
+            node.parentNode = this;
+            this.childNodes.push(node);
+        });
+    }
+
+    remove() {
+        if (!this.parentNode) return;
+        const siblings = this.parentNode.childNodes;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentNode = null;
+    }
+
+    replaceWith(...nodes) {
+        const parent = this.parentNode;
+        const index = parent.childNodes.indexOf(this);
+        nodes = [...nodes];
+        nodes.forEach(node => node.remove());
+        nodes.forEach(node => { node.parentNode = parent; });
+        parent.childNodes.splice(index, 1, ...nodes);
+        this.parentNode = null;
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(serialize).join('');
+    }
+
+    set innerHTML(html) {
+        this.childNodes.forEach(node => { node.parentNode = null; });
+        this.childNodes = [];
+        parse(String(html), this);
+    }
+}
+
+class MiniText extends MiniNode {
+    constructor(data) {
+        super(TEXT_NODE, '#text');
+        this.data = data;
+    }
+}
+
+class MiniComment extends MiniNode {
+    constructor(data) {
+        super(COMMENT_NODE, '#comment');
+        this.data = data;
+    }
+}
+
+class MiniElement extends MiniNode {
+    constructor(tag) {
+        super(ELEMENT_NODE, tag.toUpperCase());
+        this.attributes = [];
+        // Like HTMLTemplateElement: innerHTML goes to .content
+        if (tag === 'template') this.content = new MiniNode(FRAGMENT_NODE, '#document-fragment');
+    }
+
+    get innerHTML() {
+        return this.content ? this.content.innerHTML : super.innerHTML;
+    }
+
+    set innerHTML(html) {
+        if (this.content) {
+            this.content.innerHTML = html;
+        } else {
+            super.innerHTML = html;
+        }
+    }
+
+    getAttribute(name) {
+        const attribute = this.attributes.find(item => item.name === name);
+        return attribute ? attribute.value : null;
+    }
+
+    setAttribute(name, value) {
+        const attribute = this.attributes.find(item => item.name === name);
+        if (attribute) {
+            attribute.value = String(value);
+        } else {
+            this.attributes.push({ name, value: String(value) });
+        }
+    }
+
+    removeAttribute(name) {
+        this.attributes = this.attributes.filter(item => item.name !== name);
+    }
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function serialize(node) {
+    switch (node.nodeType) {
+        case TEXT_NODE:
+            return node.parentNode && RAW_TEXT_TAGS.includes(node.parentNode.nodeName.toLowerCase())
+                ? node.data
+                : escapeText(node.data);
+        case COMMENT_NODE:
+            return `<!--${node.data}-->`;
+        case ELEMENT_NODE: {
+            const tag = node.nodeName.toLowerCase();
+            const attributes = node.attributes
+                .map(({ name, value }) => ` ${name}="${value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`)
+                .join('');
+            return VOID_TAGS.includes(tag) ? `<${tag}${attributes}>` : `<${tag}${attributes}>${node.innerHTML}</${tag}>`;
+        }
+        default:
+            return node.innerHTML;
+    }
+}
+
+const TOKEN = /<!--([\s\S]*?)(?:-->|$)|<(\/?)([a-zA-Z][^\s/>]*)((?:\s*[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>/g;
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+function parse(html, root) {
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    let index = 0;
+    let match;
+
+    const addText = (text) => {
+        if (text) current().append(new MiniText(text));
+    };
+
+    TOKEN.lastIndex = 0;
+    while ((match = TOKEN.exec(html))) {
+        addText(html.slice(index, match.index));
+        index = TOKEN.lastIndex;
+
+        const [, comment, closing, rawTag, rawAttributes] = match;
+        if (comment !== undefined) {
+            current().append(new MiniComment(comment));
+            continue;
+        }
+
+        const tag = rawTag.toLowerCase();
+        if (closing) {
+            const open = stack.map(node => node.nodeName.toLowerCase()).lastIndexOf(tag);
+            if (open > 0) stack.length = open;
+            continue;
+        }
+
+        const element = new MiniElement(tag);
+        let attribute;
+        ATTRIBUTE.lastIndex = 0;
+        while ((attribute = ATTRIBUTE.exec(rawAttributes))) {
+            const name = attribute[1].toLowerCase();
+            const value = attribute[2] ?? attribute[3] ?? attribute[4] ?? '';
+            if (element.getAttribute(name) === null) element.setAttribute(name, value);
+        }
+        current().append(element);
+
+        if (RAW_TEXT_TAGS.includes(tag)) {
+            // Everything up to the closing tag is text
+            const end = html.toLowerCase().indexOf(`</${tag}`, index);
+            const stop = end === -1 ? html.length : end;
+            if (stop > index) element.append(new MiniText(html.slice(index, stop)));
+            const close = end === -1 ? -1 : html.indexOf('>', end);
+            index = close === -1 ? html.length : close + 1;
+            TOKEN.lastIndex = index;
+        } else if (!VOID_TAGS.includes(tag)) {
+            stack.push(element);
+        }
+    }
+    addText(html.slice(index));
+}
+
+const document = {
+    createElement: (tag) => new MiniElement(String(tag).toLowerCase()),
+    createTextNode: (data) => new MiniText(String(data)),
+    addEventListener() {},
+    removeEventListener() {}
+};
+
+// No service worker, storage or language: main.js leaves those features off
+const navigator = {};
+
+const Node = { ELEMENT_NODE, TEXT_NODE, COMMENT_NODE, DOCUMENT_FRAGMENT_NODE: FRAGMENT_NODE };
+
+/**
+ * Expose document, Node and navigator as globals, as main.js expects in a
+ * browser (Node 21 and later already have a navigator of their own)
+ */
+function install(target = globalThis) {
+    target.document = document;
+    target.Node = Node;
+    if (!('navigator' in target)) target.navigator = navigator;
+}
+
+module.exports = { document, Node, navigator, install };
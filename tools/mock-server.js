@@ -0,0 +1,127 @@
+// ========================================
+// Local mock server for the contact form
+// ========================================
+//
+// Serves the site and answers POST /api/contact, without any dependency:
+//
+//   node tools/mock-server.js                  -> http://localhost:8000
+//   MOCK_MODE=flaky node tools/mock-server.js  -> first request fails, the retry succeeds
+//
+// MOCK_MODE: ok (default) | error (500) | invalid (400) | flaky (503 once) | slow (exceeds the form timeout)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8000;
+const MODE = process.env.MOCK_MODE || 'ok';
+const ROOT = path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.pdf': 'application/pdf',
+    '.xml': 'application/xml'
+};
+
+let contactRequests = 0;
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function handleContact(req, res) {
+    let raw = '';
+    req.on('data', chunk => {
+        raw += chunk;
+    });
+
+    req.on('end', () => {
+        contactRequests++;
+
+        let payload;
+        try {
+            payload = JSON.parse(raw);
+        } catch (e) {
+            sendJSON(res, 400, { ok: false, error: 'Invalid JSON' });
+            return;
+        }
+
+        console.log(`[contact #${contactRequests}] mode=${MODE}`, payload);
+
+        switch (MODE) {
+            case 'error':
+                sendJSON(res, 500, { ok: false, error: 'Mock server error' });
+                break;
+            case 'invalid':
+                sendJSON(res, 400, { ok: false, error: 'Mock validation error' });
+                break;
+            case 'flaky':
+                if (contactRequests % 2 === 1) {
+                    sendJSON(res, 503, { ok: false, error: 'Mock temporary failure' });
+                } else {
+                    sendJSON(res, 200, { ok: true });
+                }
+                break;
+            case 'slow':
+                setTimeout(() => sendJSON(res, 200, { ok: true }), 15000);
+                break;
+            default:
+                sendJSON(res, 200, { ok: true });
+        }
+    });
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, `http://${req.headers.host}`).pathname);
+    } catch (error) {
+        // Malformed escape sequence, e.g. /%E0
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    // Never serve files outside the repository
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    if (req.url === '/api/contact' && req.method === 'POST') {
+        handleContact(req, res);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+        serveStatic(req, res);
+    } else {
+        res.writeHead(405);
+        res.end();
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock server on http://localhost:${PORT} (MOCK_MODE=${MODE})`);
+});